@@ -0,0 +1,58 @@
+// amplitudeScale.js
+// The vertical axis: amplitudes to display values (linear, or a signed dBFS
+// scale that spreads out quiet detail) and the ticks that label them. A
+// display value runs -1..1 like an amplitude; the view zooms and pans those.
+// Pure functions — no DOM.
+// -----------------------------------------------------------
+
+export const AMPLITUDE_SCALES = ['linear', 'db'];
+
+const DB_STEPS = [1, 2, 3, 6, 12, 24];
+
+/**
+ * Amplitude to display value. On the dB scale 0 dBFS stays at ±1 and
+ * `minDb` lands on 0, so everything quieter collapses onto the centre line.
+ */
+export function toDisplay(a, scale, minDb) {
+  if (scale !== 'db' || a === 0) return a;
+  return Math.sign(a) * Math.max(0, 1 - (20 * Math.log10(Math.abs(a))) / minDb);
+}
+
+export function fromDisplay(v, scale, minDb) {
+  if (scale !== 'db' || v === 0) return v;
+  return Math.sign(v) * Math.pow(10, ((1 - Math.abs(v)) * minDb) / 20);
+}
+
+// 1, 2 or 5 times a power of ten, at least `raw`
+function niceStep(raw) {
+  const power = Math.pow(10, Math.floor(Math.log10(raw)));
+  return [1, 2, 5, 10].map(m => m * power).find(step => step >= raw * (1 - 1e-9));
+}
+
+/**
+ * About `count` labelled values between display values low and high, as
+ * { display, label }. Linear ticks are round amplitudes; dB ticks are round
+ * levels on both sides of the centre line, which reads -∞.
+ */
+export function amplitudeTicks(low, high, scale, minDb, count) {
+  const ticks = [];
+  if (scale === 'db') {
+    const raw = ((high - low) * -minDb) / count;
+    const step = DB_STEPS.find(s => s >= raw) || niceStep(raw);
+    for (let db = 0; db > minDb; db -= step) {
+      const level = 1 - db / minDb;
+      const label = `${db === 0 ? '0' : db} dB`;
+      if (level >= low && level <= high) ticks.push({ display: level, label });
+      if (-level >= low && -level <= high) ticks.push({ display: -level, label });
+    }
+    if (low <= 0 && high >= 0) ticks.push({ display: 0, label: '-∞ dB' });
+    return ticks.sort((a, b) => b.display - a.display);
+  }
+
+  const step = niceStep((high - low) / count);
+  const decimals = Math.max(0, -Math.floor(Math.log10(step) + 1e-9));
+  for (let i = Math.ceil(low / step - 1e-9); i * step <= high + 1e-9; i++) {
+    ticks.push({ display: i * step, label: (i * step).toFixed(decimals) });
+  }
+  return ticks.reverse();
+}
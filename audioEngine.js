@@ -1,8 +1,13 @@
 // audioEngine.js
 // Handles waveform-to-audio playback using the Web Audio API
 
-import { points } from './dataModel.js';
 import { CONFIG } from './config.js';
+import { DEFAULT_INTERPOLATION } from './interpolation.js';
+import { renderEffects, renderLoopEffects } from './effects.js';
+import { packPoints, pointsAround, renderCycle, renderPoints } from './synthesis.js';
+
+const LOOKAHEAD = 0.15;          // seconds: the next loop pass is rendered this early
+const CYCLE_WATCH_INTERVAL = 250; // ms between checks for edits during cycle playback
 
 export class AudioEngine {
   constructor() {
@@ -10,85 +15,477 @@ export class AudioEngine {
     this.gainNode = this.audioContext.createGain();
     this.gainNode.connect(this.audioContext.destination);
     this.isPlaying = false;
-    this.currentSource = null;
+    this.isPaused = false;
+    this.pausedAt = 0;
+    this.sources = [];             // scheduled AudioBufferSourceNodes
+    this.timeline = [];            // scheduled passes [{ at, offset, end }] in context time
+    this.scheduleTimer = null;
+    this.cycle = null;             // { layout, pitch, duration, startedAt } while a cycle loops
     this.cachedBuffer = null;
-    this.lastPointsHash = '';
+    this.lastSourceKey = '';
+    this.dry = null;               // { key, revision, channels: Float32Array[] } one-shot samples before effects
+    this.synthQueue = Promise.resolve(); // renders run one at a time; they share `dry`
+    this.worker = null;
+    this.workerJobs = new Map();
+    this.workerJobId = 0;
+    this.workerFailed = false;
+    this.playToken = 0;            // bumped on every play/stop so stale async renders are dropped
+    this.source = () => ({ channels: [[]], duration: CONFIG.DEFAULT_DURATION });
+    this.onTransportChange = null;
+  }
+
+  /**
+   * The transport pulls the document through this callback at every pass,
+   * so edits made while a loop plays are heard on the next pass.
+   * It returns { channels, audible, duration, interpolation, mode, pitch, loop, effects,
+   * revision, changes }, where channels holds one point list per channel and
+   * revision/changes are the document's edit counter and log (see DataModel.touch).
+   */
+  setSource(source) {
+    this.source = source;
   }
 
   setVolume(value) {
     this.gainNode.gain.value = value;
   }
 
-  hashPoints(points) {
-    return JSON.stringify(points);
+  /**
+   * Convert waveform points into an AudioBuffer with one channel per point list
+   * Each "point" is assumed to represent amplitude (-1..1)
+   * options.interpolation is the document default for segments without an override
+   * options.audible (one boolean per channel) renders the others as silence
+   */
+  generateBuffer(channels, duration, options = {}) {
+    const interpolation = options.interpolation || DEFAULT_INTERPOLATION;
+    const { sampleRate } = this.audioContext;
+    const buffer = this.audioContext.createBuffer(channels.length, this.bufferLength(channels, duration), sampleRate);
+
+    channels.forEach((points, ch) => {
+      if (options.audible && !options.audible[ch]) return;
+      renderPoints(points, buffer.getChannelData(ch), sampleRate, interpolation);
+    });
+
+    return buffer;
+  }
+
+  // One-shot buffers run to the last point of the longest channel (the duration when empty)
+  bufferLength(channels, duration) {
+    const totalTime = Math.max(0, ...channels.map(points => points[points.length - 1]?.time || 0)) || duration;
+    return Math.max(1, Math.ceil(this.audioContext.sampleRate * totalTime));
   }
 
   /**
-   * Convert waveform points into an AudioBuffer
-   * Each "point" is assumed to represent amplitude (-1..1)
+   * Render `cycles` periods of the waveform into `length` samples.
+   * The points between 0 and `duration` are treated as one period.
    */
-  generateBuffer(points, duration) {
-    const totalTime = points[points.length - 1]?.time || duration;
-    const bufferLength = Math.ceil(this.audioContext.sampleRate * totalTime);
-    const buffer = this.audioContext.createBuffer(1, bufferLength, this.audioContext.sampleRate);
-    const data = buffer.getChannelData(0);
-
-    for (let i = 0; i < bufferLength; i++) {
-      const time = i / this.audioContext.sampleRate;
-      // Find surrounding points for linear interpolation
-      let nextIndex = points.findIndex(p => p.time > time);
-      if (nextIndex === -1) nextIndex = points.length - 1;
-      const prevIndex = Math.max(0, nextIndex - 1);
-
-      const p1 = points[prevIndex];
-      const p2 = points[nextIndex];
-
-      let amplitude = 0;
-      if (p1 && p2 && p2.time !== p1.time) {
-        const t = (time - p1.time) / (p2.time - p1.time);
-        amplitude = p1.amplitude + (p2.amplitude - p1.amplitude) * t;
-      } else if (p1) {
-        amplitude = p1.amplitude;
+  generateCycle(channels, duration, length, cycles = 1, options = {}) {
+    const interpolation = options.interpolation || DEFAULT_INTERPOLATION;
+    const buffer = this.audioContext.createBuffer(channels.length, length, this.audioContext.sampleRate);
+
+    channels.forEach((points, ch) => {
+      if (options.audible && !options.audible[ch]) return;
+      renderCycle(points, duration, buffer.getChannelData(ch), cycles, interpolation);
+    });
+
+    return buffer;
+  }
+
+  /**
+   * Loop layout for pitched cycle playback: about a second of whole periods,
+   * with the playback rate correcting the rounding of the loop length.
+   */
+  cycleLoopLayout(pitch) {
+    const sampleRate = this.audioContext.sampleRate;
+    const cycles = Math.max(1, Math.round(pitch));
+    const length = Math.max(1, Math.round((cycles * sampleRate) / pitch));
+    return { cycles, length, playbackRate: (pitch * length) / (cycles * sampleRate) };
+  }
+
+  /**
+   * Render the document through its effects rack, reusing the last buffer
+   * when nothing changed. Playback keeps the dry length so loop timing holds;
+   * export asks for the tail with renderForExport.
+   */
+  async renderSource(doc) {
+    const isCycle = doc.mode === 'cycle';
+    const pitch = doc.pitch || CONFIG.DEFAULT_PITCH;
+    // The revision stands in for the points; without one nothing is reused
+    const key = doc.revision === undefined ? null : [
+      doc.revision,
+      (doc.audible || []).join(','),
+      doc.interpolation || DEFAULT_INTERPOLATION,
+      isCycle ? `${doc.duration}@${pitch}` : `oneshot@${doc.duration}`,
+      JSON.stringify(doc.effects || [])
+    ].join('|');
+
+    if (key === null || key !== this.lastSourceKey || !this.cachedBuffer) {
+      let buffer;
+      if (isCycle) {
+        const layout = this.cycleLoopLayout(pitch);
+        buffer = this.generateCycle(doc.channels, doc.duration, layout.length, layout.cycles, doc);
+        buffer = await renderLoopEffects(buffer, doc.effects || []);
+      } else {
+        buffer = await this.synthesize(doc, doc.audible);
+        buffer = await renderEffects(buffer, doc.effects || []);
       }
+      this.cachedBuffer = buffer;
+      this.lastSourceKey = key;
+    }
+    return this.cachedBuffer;
+  }
 
-      data[i] = amplitude;
+  /**
+   * Export render: every channel, effects applied, delay/reverb tails kept.
+   * Cycle documents export one period as a single-cycle wavetable.
+   */
+  async renderForExport(doc) {
+    const effects = doc.effects || [];
+    if (doc.mode === 'cycle') {
+      const table = this.generateCycle(doc.channels, doc.duration, CONFIG.CYCLE_TABLE_SIZE, 1, doc);
+      return renderLoopEffects(table, effects);
     }
+    const buffer = await this.synthesize(doc, null);
+    return renderEffects(buffer, effects, { tail: true });
+  }
 
-    return buffer;
+  /**
+   * One-shot samples for the document as a fresh AudioBuffer. All channels are
+   * kept in `dry` between calls and only the spans edited since the last call
+   * are rendered again; `audible` picks the channels copied into the result.
+   */
+  synthesize(doc, audible) {
+    const job = this.synthQueue.then(() => this.updateDry(doc));
+    this.synthQueue = job.catch(() => {});
+    return job.then(dry => {
+      const { sampleRate } = this.audioContext;
+      const buffer = this.audioContext.createBuffer(dry.channels.length, dry.channels[0].length, sampleRate);
+      dry.channels.forEach((data, ch) => {
+        if (!audible || audible[ch]) buffer.copyToChannel(data, ch);
+      });
+      return buffer;
+    });
+  }
+
+  async updateDry(doc) {
+    const { sampleRate } = this.audioContext;
+    const interpolation = doc.interpolation || DEFAULT_INTERPOLATION;
+    const length = this.bufferLength(doc.channels, doc.duration);
+    const key = `${interpolation}|${doc.channels.length}|${length}`;
+    const revision = doc.revision;
+
+    const spans = this.dry && this.dry.key === key ? this.dirtySpans(doc, this.dry.revision) : null;
+    if (!spans) {
+      const channels = await Promise.all(doc.channels.map(points => this.renderSpan(points, interpolation, 0, length)));
+      this.dry = { key, revision, channels };
+      return this.dry;
+    }
+
+    const dry = this.dry;
+    await Promise.all(spans.map(async (span, ch) => {
+      if (!span) return;
+      const first = Math.max(0, Math.floor(span.start * sampleRate));
+      const end = Math.min(length, Math.ceil(span.end * sampleRate) + 1);
+      if (end <= first) return;
+      const points = pointsAround(doc.channels[ch], first / sampleRate, end / sampleRate);
+      dry.channels[ch].set(await this.renderSpan(points, interpolation, first, end - first), first);
+    }));
+    dry.revision = revision;
+    return dry;
   }
 
   /**
-   * Plays the waveform buffer once
+   * Time span per channel ({ start, end } in seconds, or null when untouched)
+   * edited since `since`, or null when the change log cannot tell
+   * (structural edits, an older revision than the log reaches, no revision).
    */
-  play(points, duration) {
-    if (this.isPlaying && this.currentSource) {
-      this.currentSource.stop();
+  dirtySpans(doc, since) {
+    if (doc.revision === undefined || since === undefined) return null;
+    const spans = doc.channels.map(() => null);
+    if (doc.revision === since) return spans;
+    const changes = doc.changes || [];
+    if (changes.length === 0 || changes[0].revision > since + 1) return null;
+
+    for (const change of changes) {
+      if (change.revision <= since) continue;
+      if (change.channel === null || change.channel >= spans.length) return null;
+      const span = spans[change.channel];
+      spans[change.channel] = span
+        ? { start: Math.min(span.start, change.start), end: Math.max(span.end, change.end) }
+        : { start: change.start, end: change.end };
     }
+    return spans;
+  }
 
-    const currentHash = this.hashPoints(points);
+  // Samples firstSample..firstSample+length of one channel, on the worker when the span is long
+  async renderSpan(points, interpolation, firstSample, length) {
+    const useWorker = CONFIG.SYNTH_WORKER && !this.workerFailed && typeof Worker !== 'undefined';
+    if (useWorker && length >= CONFIG.SYNTH_WORKER_MIN_SAMPLES) {
+      try {
+        return await this.renderInWorker(points, interpolation, firstSample, length);
+      } catch (error) {
+        console.warn('Synthesis worker unavailable, rendering on the main thread:', error);
+      }
+    }
+    const data = new Float32Array(length);
+    renderPoints(points, data, this.audioContext.sampleRate, interpolation, firstSample);
+    return data;
+  }
 
-    if (currentHash !== this.lastPointsHash || !this.cachedBuffer) {
-      this.cachedBuffer = this.generateBuffer(points, duration);
-      this.lastPointsHash = currentHash;
+  renderInWorker(points, interpolation, firstSample, length) {
+    if (!this.worker) {
+      this.worker = new Worker(new URL('./synthesisWorker.js', import.meta.url), { type: 'module' });
+      this.worker.onmessage = e => {
+        const job = this.workerJobs.get(e.data.id);
+        if (!job) return;
+        this.workerJobs.delete(e.data.id);
+        if (e.data.error) job.reject(new Error(e.data.error));
+        else job.resolve(e.data.data);
+      };
+      // A worker that fails to load rejects everything queued and is not tried again
+      this.worker.onerror = e => {
+        this.workerJobs.forEach(job => job.reject(new Error(e.message || 'Worker failed')));
+        this.workerJobs.clear();
+        this.worker.terminate();
+        this.worker = null;
+        this.workerFailed = true;
+      };
     }
 
+    return new Promise((resolve, reject) => {
+      const id = ++this.workerJobId;
+      this.workerJobs.set(id, { resolve, reject });
+      const packed = packPoints(points);
+      this.worker.postMessage(
+        { id, packed, sampleRate: this.audioContext.sampleRate, interpolation, firstSample, length },
+        [packed.times.buffer, packed.amplitudes.buffer]
+      );
+    });
+  }
+
+  // Loop region clipped to the rendered buffer, or null when not looping
+  loopBounds(doc, bufferDuration) {
+    if (!doc.loop) return null;
+    const start = Math.max(0, doc.loop.start);
+    const end = Math.min(bufferDuration, doc.loop.end);
+    return end - start > 0.001 ? { start, end } : null;
+  }
+
+  /**
+   * Starts playback at `from` seconds. Cycle documents loop at their pitch;
+   * one-shot documents play to the end, or repeat the loop region.
+   */
+  async play(from = 0) {
+    this.halt();
+    if (this.audioContext.state === 'suspended') this.audioContext.resume();
+
+    const doc = this.source();
+    const token = this.playToken;
     this.isPlaying = true;
-    this.currentSource = this.audioContext.createBufferSource();
-    this.currentSource.buffer = this.cachedBuffer;
-    this.currentSource.connect(this.gainNode);
-    this.currentSource.onended = () => {
-      this.isPlaying = false;
+    this.isPaused = false;
+    this.notifyTransport();
+    try {
+      if (doc.mode === 'cycle') {
+        await this.startCycle(doc, token);
+      } else {
+        await this.schedulePass(doc, from, this.audioContext.currentTime, token);
+      }
+    } catch (error) {
+      console.error('Playback failed:', error);
+      if (token === this.playToken) this.stop();
+    }
+  }
+
+  async schedulePass(doc, from, at, token) {
+    const buffer = await this.renderSource(doc);
+    if (token !== this.playToken) return;
+    at = Math.max(at, this.audioContext.currentTime);
+    const loop = this.loopBounds(doc, buffer.duration);
+    let start = Math.max(0, from);
+    let end = buffer.duration;
+    if (loop) {
+      if (start < loop.start || start >= loop.end) start = loop.start;
+      end = loop.end;
+    }
+    if (end - start <= 0) {
+      this.stop();
+      return;
+    }
+
+    const source = this.audioContext.createBufferSource();
+    source.buffer = buffer;
+    source.connect(this.gainNode);
+    source.start(at, start, end - start);
+    const passEnd = at + (end - start);
+    this.sources.push(source);
+    this.timeline.push({ at, offset: start, end: passEnd });
+
+    // Forget passes that have already finished
+    const now = this.audioContext.currentTime;
+    this.timeline = this.timeline.filter((pass, i, all) => pass.end > now || i === all.length - 1);
+    this.sources = this.sources.slice(-2);
+
+    const finishAfter = () => {
+      source.onended = () => {
+        if (this.isPlaying && this.sources[this.sources.length - 1] === source) this.stop();
+      };
     };
-    this.currentSource.start(0);
+
+    if (!loop) {
+      finishAfter();
+      return;
+    }
+
+    this.scheduleTimer = setTimeout(() => {
+      this.scheduleTimer = null;
+      if (token !== this.playToken) return;
+      const next = this.source();
+      if (next.mode === 'cycle' || !next.loop) {
+        finishAfter();
+        return;
+      }
+      this.schedulePass(next, next.loop.start, passEnd, token).catch(error => {
+        console.error('Playback failed:', error);
+        this.stop();
+      });
+    }, Math.max(0, (passEnd - this.audioContext.currentTime - LOOKAHEAD) * 1000));
+  }
+
+  async startCycle(doc, token) {
+    const buffer = await this.renderSource(doc);
+    if (token !== this.playToken) return;
+    const pitch = doc.pitch || CONFIG.DEFAULT_PITCH;
+    const layout = this.cycleLoopLayout(pitch);
+    const startedAt = this.audioContext.currentTime;
+    this.startCycleSource(buffer, layout, startedAt);
+    this.cycle = { layout, pitch, duration: doc.duration, startedAt };
+    this.watchCycleSoon(token);
+  }
+
+  startCycleSource(buffer, layout, at) {
+    const source = this.audioContext.createBufferSource();
+    source.buffer = buffer;
+    source.loop = true;
+    source.playbackRate.value = layout.playbackRate;
+    source.connect(this.gainNode);
+    source.start(at);
+    this.sources.push(source);
+    return source;
+  }
+
+  // A failed re-render stops playback rather than leaving the stale loop running unwatched
+  watchCycleSoon(token) {
+    this.scheduleTimer = setTimeout(() => {
+      this.watchCycle(token).catch(error => {
+        console.error('Playback failed:', error);
+        if (token === this.playToken) this.stop();
+      });
+    }, CYCLE_WATCH_INTERVAL);
+  }
+
+  // Swap in a re-rendered loop at the next loop boundary when the document changes
+  async watchCycle(token) {
+    this.scheduleTimer = null;
+    if (token !== this.playToken || !this.cycle) return;
+
+    const doc = this.source();
+    if (doc.mode !== 'cycle') {
+      this.stop();
+      return;
+    }
+
+    const buffer = await this.renderSource(doc);
+    if (token !== this.playToken) return;
+    const current = this.sources[this.sources.length - 1];
+    if (!current) return;
+    if (buffer !== current.buffer) {
+      const loopLength = this.cycle.layout.cycles / this.cycle.pitch;
+      const elapsed = this.audioContext.currentTime + LOOKAHEAD - this.cycle.startedAt;
+      const boundary = this.cycle.startedAt + Math.ceil(elapsed / loopLength) * loopLength;
+      const pitch = doc.pitch || CONFIG.DEFAULT_PITCH;
+      const layout = this.cycleLoopLayout(pitch);
+
+      current.stop(boundary);
+      this.startCycleSource(buffer, layout, boundary);
+      this.sources = this.sources.slice(-2);
+      this.cycle = { layout, pitch, duration: doc.duration, startedAt: boundary };
+    }
+
+    this.watchCycleSoon(token);
+  }
+
+  /**
+   * Current transport position in seconds: the playhead while playing,
+   * the resume point while paused, null when stopped.
+   * In cycle mode it is the phase within the period (0..duration).
+   */
+  getPosition() {
+    if (this.isPaused) return this.pausedAt;
+    if (!this.isPlaying) return null;
+
+    const now = this.audioContext.currentTime;
+    if (this.cycle) {
+      const elapsed = (now - this.cycle.startedAt) * this.cycle.pitch;
+      return (((elapsed % 1) + 1) % 1) * this.cycle.duration;
+    }
+
+    let pass = this.timeline[0];
+    if (!pass) return null;
+    for (const p of this.timeline) {
+      if (p.at <= now) pass = p;
+    }
+    return pass.offset + Math.max(0, Math.min(now, pass.end) - pass.at);
+  }
+
+  /**
+   * Pauses a one-shot; a cycle has no useful resume point, so it just stops
+   */
+  pause() {
+    if (!this.isPlaying) return;
+    if (this.cycle) {
+      this.stop();
+      return;
+    }
+    this.pausedAt = this.getPosition() || 0;
+    this.halt();
+    this.isPlaying = false;
+    this.isPaused = true;
+    this.notifyTransport();
+  }
+
+  resume() {
+    if (this.isPaused) this.play(this.pausedAt);
   }
 
   /**
    * Stops playback
    */
   stop() {
-    if (this.currentSource) {
-      this.currentSource.stop();
-      this.isPlaying = false;
-    }
+    this.halt();
+    this.isPlaying = false;
+    this.isPaused = false;
+    this.notifyTransport();
+  }
+
+  // Silence everything that is scheduled without touching the transport state
+  halt() {
+    this.playToken++;
+    clearTimeout(this.scheduleTimer);
+    this.scheduleTimer = null;
+    const sources = this.sources;
+    this.sources = [];
+    sources.forEach(source => {
+      source.onended = null;
+      try {
+        source.stop();
+      } catch (error) {
+        // Already stopped
+      }
+    });
+    this.timeline = [];
+    this.cycle = null;
+  }
+
+  notifyTransport() {
+    if (this.onTransportChange) this.onTransportChange(this);
   }
 }
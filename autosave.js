@@ -0,0 +1,91 @@
+// autosave.js
+// Writes the working document to the ProjectStore shortly after every change,
+// so a reload or a crash loses nothing. It also tracks whether the document
+// holds work saved nowhere else (not in the library, not in a file); only
+// such work is offered back on the next start.
+
+import { CONFIG } from './config.js';
+
+// Events that change what a saved project holds; the rest (view, selection...) are saved but do not count as work
+const CONTENT_EVENTS = [
+  'points-added', 'points-removed', 'points-moved', 'loop-changed', 'settings-changed',
+  'channels-changed', 'effects-changed', 'markers-changed'
+];
+
+export class Autosave {
+  /**
+   * `snapshot()` returns the document as a serialized project (see
+   * projectFormat.js). Nothing is written until start().
+   */
+  constructor(dataModel, store, snapshot) {
+    this.dataModel = dataModel;
+    this.store = store;
+    this.snapshot = snapshot;
+    this.dirty = false;
+    this.libraryEntry = null; // { id, name } of the library project being edited, if any
+    this.timer = null;
+    this.failed = false;
+  }
+
+  start() {
+    this.dataModel.on('change', ({ type, source }) => {
+      if (type === 'document-loaded') {
+        // An opened project is saved where it came from (the library re-attaches
+        // itself after opening); imported audio is saved nowhere yet
+        this.dirty = source !== 'project';
+        this.libraryEntry = null;
+      } else if (CONTENT_EVENTS.includes(type)) {
+        this.dirty = true;
+      } else if (type === 'selection-changed' || type === 'snap-changed') {
+        return;
+      }
+      this.schedule();
+    });
+    window.addEventListener('pagehide', () => this.flush());
+  }
+
+  schedule() {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.flush(), CONFIG.AUTOSAVE_DELAY);
+  }
+
+  async flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    const entry = this.libraryEntry;
+    try {
+      await this.store.putAutosave({
+        project: this.snapshot(),
+        libraryId: entry ? entry.id : null,
+        name: entry ? entry.name : null,
+        dirty: this.dirty,
+        savedAt: Date.now()
+      });
+    } catch (error) {
+      // Said once; without storage the editor still works, it just cannot recover
+      if (!this.failed) console.warn('Autosave is unavailable:', error.message);
+      this.failed = true;
+    }
+  }
+
+  // The document was saved (to the library, as `entry`, or to a file)
+  markSaved(entry = this.libraryEntry) {
+    this.dirty = false;
+    this.libraryEntry = entry;
+    return this.flush();
+  }
+
+  // The autosaved document, if it holds unsaved work
+  async pendingRecovery() {
+    try {
+      const record = await this.store.getAutosave();
+      return record && record.dirty ? record : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  discard() {
+    return this.store.clearAutosave().catch(() => {});
+  }
+}
@@ -2,12 +2,23 @@
 // Responsible for drawing the waveform, axes, highlights, points, selection, and labels
 
 import { CONFIG } from './config.js';
+import { evaluateSegment, lowerBound, periodicPoints, segmentControls, segmentMode } from './interpolation.js';
+import { PeakCache } from './peakCache.js';
+import { GRID_DIVISIONS, gridStep } from './snap.js';
+import { amplitudeTicks, fromDisplay, toDisplay } from './amplitudeScale.js';
+
+const CUE_FONT = '10px monospace'; // marker and region names in the ruler
 
 export class CanvasRenderer {
   constructor(canvas, amplitudeLabelsEl) {
     this.canvas = canvas;
     this.ctx = canvas.getContext('2d');
     this.amplitudeLabelsEl = amplitudeLabelsEl;
+    this.laneCount = 1;   // one stacked lane per channel
+    this.activeLane = 0;
+    this.verticalView = { zoom: 1, pan: 0, scale: 'linear' }; // copied from the DataModel by syncView
+    this.peakCaches = new WeakMap();    // points array → { revision, cache }
+    this.wrappedCaches = new WeakMap(); // points array → { revision, duration, points } for cycle tiles
     this.setupResize();
   }
 
@@ -37,31 +48,185 @@ export class CanvasRenderer {
     return dataModel.pan + (x / this.canvas.width) * visible;
   }
 
-  amplitudeToY(a) {
-    return this.canvas.height / 2 - a * (this.canvas.height / 2);
+  // Cycle mode lets the view run one period past either end to show the seam
+  panLimits(dataModel) {
+    const visible = this.visibleRange(dataModel);
+    if (dataModel.mode === 'cycle') {
+      return { min: -dataModel.duration, max: 2 * dataModel.duration - visible };
+    }
+    return { min: 0, max: dataModel.duration - visible };
+  }
+
+  clampPan(dataModel, pan) {
+    const { min, max } = this.panLimits(dataModel);
+    return Math.max(min, Math.min(max, pan));
+  }
+
+  // Lanes: the canvas is split vertically into one lane per channel, all
+  // sharing the document's vertical view
+  syncView(dataModel) {
+    this.laneCount = dataModel.channels.length;
+    this.activeLane = dataModel.activeChannel;
+    this.verticalView = { zoom: dataModel.amplitudeZoom, pan: dataModel.amplitudePan, scale: dataModel.amplitudeScale };
+  }
+
+  laneHeight() {
+    return this.canvas.height / this.laneCount;
+  }
+
+  laneTop(lane) {
+    return lane * this.laneHeight();
+  }
+
+  laneAt(y) {
+    return Math.max(0, Math.min(this.laneCount - 1, Math.floor(y / this.laneHeight())));
+  }
+
+  // Display values (see amplitudeScale.js) in pan ± 1/zoom fill the lane
+  displayToY(v, lane = this.activeLane) {
+    const half = this.laneHeight() / 2;
+    const { zoom, pan } = this.verticalView;
+    return this.laneTop(lane) + half - (v - pan) * zoom * half;
+  }
+
+  yToDisplay(y, lane = this.activeLane) {
+    const half = this.laneHeight() / 2;
+    const { zoom, pan } = this.verticalView;
+    return pan + (this.laneTop(lane) + half - y) / (half * zoom);
+  }
+
+  amplitudeToY(a, lane = this.activeLane) {
+    return this.displayToY(toDisplay(a, this.verticalView.scale, CONFIG.AMPLITUDE_MIN_DB), lane);
+  }
+
+  yToAmplitude(y, lane = this.activeLane) {
+    return fromDisplay(this.yToDisplay(y, lane), this.verticalView.scale, CONFIG.AMPLITUDE_MIN_DB);
   }
 
-  yToAmplitude(y) {
-    return (this.canvas.height / 2 - y) / (this.canvas.height / 2);
+  // Labelled amplitudes for the current vertical view, about one per 40 pixels
+  amplitudeTicks() {
+    const { zoom, pan, scale } = this.verticalView;
+    const count = Math.max(2, Math.floor(this.laneHeight() / 40));
+    return amplitudeTicks(pan - 1 / zoom, pan + 1 / zoom, scale, CONFIG.AMPLITUDE_MIN_DB, count);
+  }
+
+  clipToLane(lane) {
+    this.ctx.save();
+    this.ctx.beginPath();
+    this.ctx.rect(0, this.laneTop(lane), this.canvas.width, this.laneHeight());
+    this.ctx.clip();
+  }
+
+  // Mute / solo toggles in each lane's header, as hit rectangles
+  laneBadges() {
+    const badges = [];
+    for (let lane = 0; lane < this.laneCount; lane++) {
+      const y = this.laneTop(lane) + (lane === 0 ? CONFIG.RULER_HEIGHT : 0) + 4;
+      badges.push({ lane, action: 'mute', label: 'M', x: 6, y, w: 16, h: 14 });
+      badges.push({ lane, action: 'solo', label: 'S', x: 26, y, w: 16, h: 14 });
+    }
+    return badges;
+  }
+
+  pickLaneBadgeAt(x, y) {
+    return this.laneBadges().find(b => x >= b.x && x <= b.x + b.w && y >= b.y && y <= b.y + b.h);
+  }
+
+  /**
+   * Grab areas of the markers and regions in the ruler strip, topmost first:
+   * { id, part, x, y, w, h } where part is 'time' (a marker), 'start' or 'end'
+   * (a region edge) or 'move' (a region's label).
+   */
+  cueFlags(dataModel) {
+    const h = CONFIG.RULER_HEIGHT;
+    const grab = CONFIG.POINT_HIT_RADIUS;
+    this.ctx.font = CUE_FONT;
+    const labelWidth = name => this.ctx.measureText(name).width + 8;
+    const flags = [];
+    dataModel.markers.forEach(m => {
+      const x = this.timeToX(dataModel, m.time);
+      flags.push({ id: m.id, part: 'time', x: x - grab / 2, y: 0, w: labelWidth(m.name) + grab / 2, h });
+    });
+    dataModel.regions.forEach(r => {
+      const start = this.timeToX(dataModel, r.start);
+      const end = this.timeToX(dataModel, r.end);
+      flags.push({ id: r.id, part: 'start', x: start - grab / 2, y: 0, w: grab, h });
+      flags.push({ id: r.id, part: 'end', x: end - grab / 2, y: 0, w: grab, h });
+    });
+    dataModel.regions.forEach(r => {
+      const start = this.timeToX(dataModel, r.start);
+      const end = this.timeToX(dataModel, r.end);
+      flags.push({ id: r.id, part: 'move', x: start + grab / 2, y: 0, w: Math.min(labelWidth(r.name), end - start - grab), h });
+    });
+    return flags.filter(f => f.w > 0 && f.x + f.w >= 0 && f.x <= this.canvas.width);
+  }
+
+  pickCueAt(dataModel, x, y) {
+    return this.cueFlags(dataModel).find(f => x >= f.x && x <= f.x + f.w && y >= f.y && y <= f.y + f.h) || null;
   }
 
   chooseStep(visible) {
-    if (visible > 8) return 2;
-    if (visible > 4) return 1;
-    if (visible > 2) return 0.5;
-    if (visible > 1) return 0.1;
-    if (visible > 0.5) return 0.05;
-    if (visible > 0.1) return 0.01;
-    if (visible > 0.05) return 0.005;
-    if (visible > 0.01) return 0.001;
-    return 0.0005;
+    return gridStep(visible);
+  }
+
+  // Indices [from, to) of the points with start <= time < end; points are kept sorted by time
+  indexRange(points, start, end) {
+    return { from: lowerBound(points, start), to: lowerBound(points, end) };
+  }
+
+  // Markers (and point picking) only once the active lane's points are far enough apart to tell apart
+  showMarkers(dataModel) {
+    const visible = this.visibleRange(dataModel);
+    const { from, to } = this.indexRange(dataModel.points, dataModel.pan, dataModel.pan + visible);
+    return (to - from) * CONFIG.MARKER_MIN_SPACING <= this.canvas.width;
   }
 
+  // Only the points within the hit radius in time are tested
   pickPointAt(dataModel, x, y, tolerancePx = CONFIG.POINT_HIT_RADIUS) {
-    return dataModel.points.find(
-      p =>
+    if (!this.showMarkers(dataModel)) return undefined;
+    const { points } = dataModel;
+    const { from, to } = this.indexRange(
+      points,
+      this.xToTime(dataModel, x - tolerancePx),
+      this.xToTime(dataModel, x + tolerancePx)
+    );
+    for (let i = from; i < to; i++) {
+      const p = points[i];
+      if (
         Math.abs(this.timeToX(dataModel, p.time) - x) < tolerancePx &&
         Math.abs(this.amplitudeToY(p.amplitude) - y) < tolerancePx
+      ) {
+        return p;
+      }
+    }
+    return undefined;
+  }
+
+  // Bezier handles of the selected point, as { point, which, time, amplitude }
+  visibleHandles(dataModel) {
+    const point = dataModel.selectedPoint;
+    if (!point) return [];
+    const points = dataModel.points;
+    const i = points.indexOf(point);
+    if (i === -1) return [];
+
+    const handles = [];
+    if (i < points.length - 1 && segmentMode(points, i, dataModel.interpolation) === 'bezier') {
+      const { c0 } = segmentControls(points, i, dataModel.interpolation);
+      handles.push({ point, which: 'out', time: c0.time, amplitude: c0.amplitude });
+    }
+    if (i > 0 && segmentMode(points, i - 1, dataModel.interpolation) === 'bezier') {
+      const { c1 } = segmentControls(points, i - 1, dataModel.interpolation);
+      handles.push({ point, which: 'in', time: c1.time, amplitude: c1.amplitude });
+    }
+    return handles;
+  }
+
+  pickHandleAt(dataModel, x, y, tolerancePx = CONFIG.POINT_HIT_RADIUS) {
+    return this.visibleHandles(dataModel).find(
+      h =>
+        Math.abs(this.timeToX(dataModel, h.time) - x) < tolerancePx &&
+        Math.abs(this.amplitudeToY(h.amplitude) - y) < tolerancePx
     );
   }
 
@@ -80,7 +245,7 @@ export class CanvasRenderer {
     const { width, height } = this.canvas;
     const visible = this.visibleRange(dataModel);
     const majorStep = this.chooseStep(visible);
-    const minorStep = majorStep / 5;
+    const minorStep = majorStep / GRID_DIVISIONS;
 
     // Minor grid
     this.ctx.strokeStyle = CONFIG.COLORS.GRID_MINOR;
@@ -107,43 +272,224 @@ export class CanvasRenderer {
       this.ctx.fillText(label, x + 2, 12);
     }
 
-    // Horizontal amplitude lines
+    // Horizontal amplitude lines at the labelled values, per lane
+    const ticks = this.amplitudeTicks();
     this.ctx.strokeStyle = CONFIG.COLORS.GRID_AMPLITUDE;
     this.ctx.beginPath();
-    for (let a = -1; a <= 1; a += 0.5) {
-      const y = this.amplitudeToY(a);
+    for (let lane = 0; lane < this.laneCount; lane++) {
+      ticks.forEach(tick => {
+        const y = this.displayToY(tick.display, lane);
+        this.ctx.moveTo(0, y);
+        this.ctx.lineTo(width, y);
+      });
+    }
+    this.ctx.stroke();
+
+    // Lane separators
+    this.ctx.strokeStyle = CONFIG.COLORS.LANE_SEPARATOR;
+    this.ctx.beginPath();
+    for (let lane = 1; lane < this.laneCount; lane++) {
+      const y = Math.round(this.laneTop(lane)) + 0.5;
       this.ctx.moveTo(0, y);
       this.ctx.lineTo(width, y);
     }
     this.ctx.stroke();
   }
 
-  drawWaveform(dataModel) {
-    if (dataModel.points.length === 0) return;
+  // Peak summaries are rebuilt only after the document changed
+  peakCacheFor(dataModel, points) {
+    const entry = this.peakCaches.get(points);
+    if (entry && entry.revision === dataModel.revision && entry.cache.points.length === points.length) {
+      return entry.cache;
+    }
+    const cache = new PeakCache(points);
+    this.peakCaches.set(points, { revision: dataModel.revision, cache });
+    return cache;
+  }
 
-    this.ctx.strokeStyle = CONFIG.COLORS.WAVEFORM;
-    this.ctx.lineWidth = 1.2;
+  wrappedPointsFor(dataModel, points) {
+    const entry = this.wrappedCaches.get(points);
+    if (entry && entry.revision === dataModel.revision && entry.duration === dataModel.duration) {
+      return entry.points;
+    }
+    const wrapped = periodicPoints(points, dataModel.duration);
+    this.wrappedCaches.set(points, { revision: dataModel.revision, duration: dataModel.duration, points: wrapped });
+    return wrapped;
+  }
+
+  /**
+   * Stroke `points` (shifted by `offset` seconds) across the view. Only the
+   * visible slice is traced; when it holds more points than there are pixels
+   * the curve is drawn as a min/max envelope, one column per pixel.
+   */
+  drawCurve(dataModel, points, offset, lane, startTime) {
+    const visible = this.visibleRange(dataModel);
+    const range = this.indexRange(points, dataModel.pan - offset, dataModel.pan + visible - offset);
+    const from = Math.max(0, range.from - 1);
+    const to = Math.min(points.length - 1, range.to);
+
+    if (to - from > this.canvas.width * CONFIG.LOD_POINTS_PER_PIXEL) {
+      this.drawEnvelope(dataModel, points, offset, lane, startTime);
+      return;
+    }
     this.ctx.beginPath();
-    dataModel.points.forEach((p, i) => {
-      const x = this.timeToX(dataModel, p.time);
-      const y = this.amplitudeToY(p.amplitude);
-      if (i === 0) {
-        this.ctx.moveTo(x, y);
+    this.ctx.moveTo(this.timeToX(dataModel, startTime + offset), this.amplitudeToY(points[from].amplitude, lane));
+    this.traceCurve(dataModel, points, offset, lane, from, to);
+    this.ctx.stroke();
+  }
+
+  drawEnvelope(dataModel, points, offset, lane, startTime) {
+    const cache = this.peakCacheFor(dataModel, points);
+    const last = points[points.length - 1];
+    this.ctx.beginPath();
+    for (let x = 0; x < this.canvas.width; x++) {
+      const t0 = this.xToTime(dataModel, x) - offset;
+      const t1 = this.xToTime(dataModel, x + 1) - offset;
+      if (t1 < startTime || t0 > last.time) continue;
+
+      const start = lowerBound(points, t0);
+      const end = lowerBound(points, t1);
+      const { min, max } = cache.range(start, end);
+      // The curve's value where the column starts joins it to the column before
+      let enter;
+      if (start === 0) enter = points[0].amplitude;
+      else if (start === points.length) enter = last.amplitude;
+      else enter = evaluateSegment(points, start - 1, t0, dataModel.interpolation);
+
+      const top = this.amplitudeToY(Math.max(max, enter), lane);
+      const bottom = this.amplitudeToY(Math.min(min, enter), lane);
+      this.ctx.moveTo(x + 0.5, top);
+      this.ctx.lineTo(x + 0.5, Math.max(bottom, top + 1));
+    }
+    this.ctx.stroke();
+  }
+
+  // Continue the current path through points[from..to], shifted by `offset` seconds
+  traceCurve(dataModel, points, offset = 0, lane = this.activeLane, from = 0, to = points.length - 1) {
+    for (let i = from; i <= to; i++) {
+      const p = points[i];
+      const x = this.timeToX(dataModel, p.time + offset);
+      const y = this.amplitudeToY(p.amplitude, lane);
+      if (i === from) {
+        this.ctx.lineTo(x, y);
+        continue;
+      }
+
+      const seg = segmentControls(points, i - 1, dataModel.interpolation);
+      if (seg.mode !== 'step' && this.verticalView.scale === 'db') {
+        // On the dB scale straight and curved segments alike bend, so they are traced
+        this.traceSampled(dataModel, points, i - 1, offset, lane, x);
+      } else if (seg.mode === 'step') {
+        this.ctx.lineTo(x, this.amplitudeToY(seg.p0.amplitude, lane));
+        this.ctx.lineTo(x, y);
+      } else if (seg.mode === 'cubic' || seg.mode === 'bezier') {
+        this.ctx.bezierCurveTo(
+          this.timeToX(dataModel, seg.c0.time + offset),
+          this.amplitudeToY(seg.c0.amplitude, lane),
+          this.timeToX(dataModel, seg.c1.time + offset),
+          this.amplitudeToY(seg.c1.amplitude, lane),
+          x,
+          y
+        );
       } else {
         this.ctx.lineTo(x, y);
       }
-    });
+    }
+  }
+
+  // Segment i as short lines, about one per 3 pixels, ending at pixel x of its end point
+  traceSampled(dataModel, points, i, offset, lane, x) {
+    const t0 = points[i].time;
+    const t1 = points[i + 1].time;
+    const steps = Math.max(1, Math.min(64, Math.ceil(Math.abs(x - this.timeToX(dataModel, t0 + offset)) / 3)));
+    for (let k = 1; k <= steps; k++) {
+      const t = t0 + ((t1 - t0) * k) / steps;
+      const a = k === steps ? points[i + 1].amplitude : evaluateSegment(points, i, t, dataModel.interpolation);
+      this.ctx.lineTo(this.timeToX(dataModel, t + offset), this.amplitudeToY(a, lane));
+    }
+  }
+
+  // Cycle mode: the period is tiled across the view with the neighbouring tiles dimmed
+  drawCycleTiles(dataModel, points, lane) {
+    const { duration } = dataModel;
+    const wrapped = this.wrappedPointsFor(dataModel, points);
+    const baseAlpha = this.ctx.globalAlpha;
+    const visible = this.visibleRange(dataModel);
+    const firstTile = Math.floor(dataModel.pan / duration);
+    const lastTile = Math.floor((dataModel.pan + visible) / duration);
+
+    for (let k = firstTile; k <= lastTile; k++) {
+      const left = this.timeToX(dataModel, k * duration);
+      const right = this.timeToX(dataModel, (k + 1) * duration);
+      this.ctx.save();
+      this.ctx.beginPath();
+      this.ctx.rect(left, this.laneTop(lane), right - left, this.laneHeight());
+      this.ctx.clip();
+      this.ctx.globalAlpha = k === 0 ? baseAlpha : baseAlpha * 0.35;
+      this.drawCurve(dataModel, wrapped, k * duration, lane, wrapped[0].time);
+      this.ctx.restore();
+    }
+  }
+
+  // Seams between cycle tiles, dashed across all lanes
+  drawCycleSeams(dataModel) {
+    const { duration } = dataModel;
+    const { height } = this.canvas;
+    const visible = this.visibleRange(dataModel);
+    const firstTile = Math.floor(dataModel.pan / duration);
+    const lastTile = Math.floor((dataModel.pan + visible) / duration);
+
+    this.ctx.strokeStyle = CONFIG.COLORS.CYCLE_SEAM;
+    this.ctx.setLineDash([4, 4]);
+    this.ctx.beginPath();
+    for (let k = firstTile; k <= lastTile + 1; k++) {
+      const x = this.timeToX(dataModel, k * duration);
+      this.ctx.moveTo(x, 0);
+      this.ctx.lineTo(x, height);
+    }
     this.ctx.stroke();
+    this.ctx.setLineDash([]);
+  }
 
-    // Point markers
+  // Every channel in its lane; inactive lanes are dimmed and silent ones more so
+  drawWaveform(dataModel) {
+    const audible = dataModel.audibleChannels();
+    dataModel.channels.forEach((channel, lane) => {
+      const { points } = channel;
+      if (points.length === 0) return;
+
+      this.ctx.globalAlpha = (lane === this.activeLane ? 1 : 0.55) * (audible[lane] ? 1 : 0.4);
+      this.ctx.strokeStyle = CONFIG.COLORS.WAVEFORM;
+      this.ctx.lineWidth = 1.2;
+      // Zoomed in vertically, a curve would spill into the neighbouring lanes
+      this.clipToLane(lane);
+      if (dataModel.mode === 'cycle') {
+        this.drawCycleTiles(dataModel, points, lane);
+      } else {
+        // The engine holds the first value from time 0
+        this.drawCurve(dataModel, points, 0, lane, 0);
+      }
+      this.ctx.restore();
+    });
+    this.ctx.globalAlpha = 1;
+
+    if (dataModel.mode === 'cycle') this.drawCycleSeams(dataModel);
+
+    // Point markers (active lane only, and only the visible ones)
+    if (!this.showMarkers(dataModel)) return;
+    const visible = this.visibleRange(dataModel);
+    const { from, to } = this.indexRange(dataModel.points, dataModel.pan, dataModel.pan + visible);
     this.ctx.fillStyle = CONFIG.COLORS.POINT;
-    dataModel.points.forEach(p => {
+    this.clipToLane(this.activeLane);
+    for (let i = Math.max(0, from - 1); i < Math.min(dataModel.points.length, to + 1); i++) {
+      const p = dataModel.points[i];
       const x = this.timeToX(dataModel, p.time);
       const y = this.amplitudeToY(p.amplitude);
       this.ctx.beginPath();
-      this.ctx.arc(x, y, 4, 0, Math.PI * 4);
+      this.ctx.arc(x, y, 4, 0, Math.PI * 2);
       this.ctx.fill();
-    });
+    }
+    this.ctx.restore();
   }
 
   drawSelection(dataModel) {
@@ -156,18 +502,208 @@ export class CanvasRenderer {
       this.ctx.fill();
     }
 
+    // Off-screen selections are skipped; zoomed out they are drawn as dots
+    const { width } = this.canvas;
+    const markers = this.showMarkers(dataModel);
+    this.ctx.fillStyle = CONFIG.COLORS.SELECTION;
     dataModel.selectedPoints.forEach(p => {
       const x = this.timeToX(dataModel, p.time);
+      if (x < -CONFIG.SELECTION_HIGHLIGHT_RADIUS || x > width + CONFIG.SELECTION_HIGHLIGHT_RADIUS) return;
       const y = this.amplitudeToY(p.amplitude);
-      this.ctx.fillStyle = CONFIG.COLORS.SELECTION;
+      if (!markers) {
+        this.ctx.fillRect(x - 1, y - 1, 2, 2);
+        return;
+      }
       this.ctx.beginPath();
       this.ctx.arc(x, y, CONFIG.SELECTION_HIGHLIGHT_RADIUS, 0, Math.PI * 2);
       this.ctx.fill();
     });
   }
 
-  drawSelectionBox(selectionBox, selectionStart, isCommandKey) {
-    if (selectionBox && isCommandKey) {
+  drawHandles(dataModel) {
+    const handles = this.visibleHandles(dataModel);
+    if (handles.length === 0) return;
+
+    this.ctx.strokeStyle = CONFIG.COLORS.HANDLE;
+    this.ctx.fillStyle = CONFIG.COLORS.HANDLE;
+    this.ctx.lineWidth = 1;
+    handles.forEach(h => {
+      const px = this.timeToX(dataModel, h.point.time);
+      const py = this.amplitudeToY(h.point.amplitude);
+      const hx = this.timeToX(dataModel, h.time);
+      const hy = this.amplitudeToY(h.amplitude);
+      this.ctx.beginPath();
+      this.ctx.moveTo(px, py);
+      this.ctx.lineTo(hx, hy);
+      this.ctx.stroke();
+      this.ctx.fillRect(hx - 3, hy - 3, 6, 6);
+    });
+  }
+
+  /**
+   * The whole document (0..duration, every channel overlaid, full amplitude
+   * range) into another canvas's context, as one min/max column per pixel.
+   * The minimap and project thumbnails use it.
+   */
+  drawOverview(ctx, dataModel, width, height) {
+    ctx.fillStyle = CONFIG.COLORS.BG_BOTTOM;
+    ctx.fillRect(0, 0, width, height);
+    ctx.strokeStyle = CONFIG.COLORS.WAVEFORM;
+    ctx.globalAlpha = dataModel.channels.length > 1 ? 0.6 : 1;
+    ctx.lineWidth = 1;
+    const toY = a => ((1 - Math.max(-1, Math.min(1, a))) / 2) * height;
+    dataModel.channels.forEach(({ points }) => {
+      if (points.length === 0) return;
+      const cache = this.peakCacheFor(dataModel, points);
+      const last = points[points.length - 1];
+      ctx.beginPath();
+      for (let x = 0; x < width; x++) {
+        const t0 = (x / width) * dataModel.duration;
+        const t1 = ((x + 1) / width) * dataModel.duration;
+        const start = lowerBound(points, t0);
+        const end = lowerBound(points, t1);
+        const { min, max } = cache.range(start, end);
+        // The curve's value where the column starts joins it to the column before
+        let enter;
+        if (start === 0) enter = points[0].amplitude;
+        else if (start === points.length) enter = last.amplitude;
+        else enter = evaluateSegment(points, start - 1, t0, dataModel.interpolation);
+
+        const top = toY(Math.max(max, enter));
+        const bottom = toY(Math.min(min, enter));
+        ctx.moveTo(x + 0.5, top);
+        ctx.lineTo(x + 0.5, Math.max(bottom, top + 1));
+      }
+      ctx.stroke();
+    });
+    ctx.globalAlpha = 1;
+  }
+
+  // The overview as a PNG data URL, for the project library
+  thumbnail(dataModel, width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    this.drawOverview(canvas.getContext('2d'), dataModel, width, height);
+    return canvas.toDataURL('image/png');
+  }
+
+  // Regions shade the ruler strip and mark their edges down the canvas; markers
+  // are lines with a named flag in the ruler
+  drawCues(dataModel) {
+    const { height } = this.canvas;
+    const rulerHeight = CONFIG.RULER_HEIGHT;
+    this.ctx.font = CUE_FONT;
+    this.ctx.textBaseline = 'middle';
+    this.ctx.lineWidth = 1;
+
+    dataModel.regions.forEach(r => {
+      const left = this.timeToX(dataModel, r.start);
+      const right = this.timeToX(dataModel, r.end);
+      if (right < 0 || left > this.canvas.width) return;
+      this.ctx.fillStyle = CONFIG.COLORS.REGION;
+      this.ctx.fillRect(left, 0, right - left, rulerHeight);
+      this.ctx.strokeStyle = CONFIG.COLORS.REGION_EDGE;
+      this.ctx.setLineDash(r.loop ? [] : [3, 3]);
+      this.ctx.beginPath();
+      this.ctx.moveTo(Math.round(left) + 0.5, 0);
+      this.ctx.lineTo(Math.round(left) + 0.5, height);
+      this.ctx.moveTo(Math.round(right) - 0.5, 0);
+      this.ctx.lineTo(Math.round(right) - 0.5, height);
+      this.ctx.stroke();
+      this.ctx.setLineDash([]);
+      this.ctx.save();
+      this.ctx.beginPath();
+      this.ctx.rect(left, 0, right - left, rulerHeight);
+      this.ctx.clip();
+      this.ctx.fillStyle = CONFIG.COLORS.REGION_EDGE;
+      this.ctx.fillText(r.loop ? `⟲ ${r.name}` : r.name, left + 5, rulerHeight / 2 + 1);
+      this.ctx.restore();
+    });
+
+    dataModel.markers.forEach(m => {
+      const x = Math.round(this.timeToX(dataModel, m.time)) + 0.5;
+      const w = this.ctx.measureText(m.name).width + 8;
+      if (x + w < 0 || x > this.canvas.width) return;
+      this.ctx.strokeStyle = CONFIG.COLORS.MARKER_FLAG;
+      this.ctx.beginPath();
+      this.ctx.moveTo(x, 0);
+      this.ctx.lineTo(x, height);
+      this.ctx.stroke();
+      this.ctx.fillStyle = CONFIG.COLORS.MARKER_FLAG;
+      this.ctx.fillRect(x, 0, w, rulerHeight);
+      this.ctx.fillStyle = CONFIG.COLORS.BG_BOTTOM;
+      this.ctx.fillText(m.name, x + 4, rulerHeight / 2 + 1);
+    });
+    this.ctx.textBaseline = 'alphabetic';
+  }
+
+  // Loop region, cursor and playhead; the ruler strip along the top edits them
+  drawTransport(dataModel, playhead) {
+    const { height } = this.canvas;
+    const rulerHeight = CONFIG.RULER_HEIGHT;
+
+    if (dataModel.loopRegion) {
+      const left = this.timeToX(dataModel, dataModel.loopRegion.start);
+      const right = this.timeToX(dataModel, dataModel.loopRegion.end);
+      this.ctx.globalAlpha = dataModel.loopEnabled ? 1 : 0.4;
+      this.ctx.fillStyle = CONFIG.COLORS.LOOP_REGION;
+      this.ctx.fillRect(left, 0, right - left, height);
+      this.ctx.fillStyle = CONFIG.COLORS.LOOP_EDGE;
+      this.ctx.fillRect(left, 0, right - left, 3);
+      this.ctx.strokeStyle = CONFIG.COLORS.LOOP_EDGE;
+      this.ctx.lineWidth = 1;
+      this.ctx.beginPath();
+      this.ctx.moveTo(left, 0);
+      this.ctx.lineTo(left, rulerHeight);
+      this.ctx.moveTo(right, 0);
+      this.ctx.lineTo(right, rulerHeight);
+      this.ctx.stroke();
+      this.ctx.globalAlpha = 1;
+    }
+
+    const cursorX = this.timeToX(dataModel, dataModel.cursor);
+    this.ctx.strokeStyle = CONFIG.COLORS.CURSOR;
+    this.ctx.lineWidth = 1;
+    this.ctx.setLineDash([2, 3]);
+    this.ctx.beginPath();
+    this.ctx.moveTo(cursorX, 0);
+    this.ctx.lineTo(cursorX, height);
+    this.ctx.stroke();
+    this.ctx.setLineDash([]);
+
+    if (playhead !== null && playhead !== undefined) {
+      const x = this.timeToX(dataModel, playhead);
+      this.ctx.strokeStyle = CONFIG.COLORS.PLAYHEAD;
+      this.ctx.lineWidth = 1.5;
+      this.ctx.beginPath();
+      this.ctx.moveTo(x, 0);
+      this.ctx.lineTo(x, height);
+      this.ctx.stroke();
+    }
+  }
+
+  drawLaneHeaders(dataModel) {
+    this.ctx.font = '10px monospace';
+    this.ctx.textBaseline = 'middle';
+    this.laneBadges().forEach(b => {
+      const channel = dataModel.channels[b.lane];
+      const on = b.action === 'mute' ? channel.muted : channel.solo;
+      this.ctx.fillStyle = on ? CONFIG.COLORS.SELECTION : CONFIG.COLORS.GRID_MAJOR;
+      this.ctx.fillRect(b.x, b.y, b.w, b.h);
+      this.ctx.fillStyle = on ? CONFIG.COLORS.BG_BOTTOM : CONFIG.COLORS.GRID_LABELS;
+      this.ctx.fillText(b.label, b.x + 5, b.y + b.h / 2 + 1);
+
+      if (b.action === 'solo') {
+        this.ctx.fillStyle = b.lane === this.activeLane ? CONFIG.COLORS.WAVEFORM : CONFIG.COLORS.GRID_LABELS;
+        this.ctx.fillText(channel.name, b.x + b.w + 6, b.y + b.h / 2 + 1);
+      }
+    });
+    this.ctx.textBaseline = 'alphabetic';
+  }
+
+  drawSelectionBox(selectionBox, selectionStart, visible) {
+    if (selectionBox && visible) {
       this.ctx.strokeStyle = CONFIG.COLORS.SELECTION;
       this.ctx.lineWidth = 1;
       this.ctx.strokeRect(selectionStart.x, selectionStart.y, selectionBox.width, selectionBox.height);
@@ -176,18 +712,32 @@ export class CanvasRenderer {
     }
   }
 
+  // The labels sit at the same heights as the amplitude grid lines
   drawAmplitudeLabels() {
     if (!this.amplitudeLabelsEl) return;
-    const amps = [1, 0.75, 0.5, 0.25, 0, -0.25, -0.5, -0.75, -1];
-    this.amplitudeLabelsEl.innerHTML = amps.map(a => `<div class="amp-label">${a.toFixed(2)}</div>`).join('');
+    const lane = this.laneHeight();
+    const labels = this.amplitudeTicks()
+      .map(tick => `<div class="amp-label" style="top: ${((this.displayToY(tick.display, 0) / lane) * 100).toFixed(2)}%">${tick.label}</div>`)
+      .join('');
+    const html = `<div class="amp-lane">${labels}</div>`.repeat(this.laneCount);
+    // Rebuilt only when the view changed, not on every frame
+    if (html !== this.amplitudeLabelsHtml) {
+      this.amplitudeLabelsEl.innerHTML = html;
+      this.amplitudeLabelsHtml = html;
+    }
   }
 
-  draw(dataModel, selectionBox, selectionStart, isCommandKey) {
+  draw(dataModel, selectionBox, selectionStart, showSelectionBox, playhead = null) {
+    this.syncView(dataModel);
     this.clear();
     this.drawGrid(dataModel);
     this.drawWaveform(dataModel);
     this.drawSelection(dataModel);
-    this.drawSelectionBox(selectionBox, selectionStart, isCommandKey);
+    this.drawHandles(dataModel);
+    this.drawCues(dataModel);
+    this.drawTransport(dataModel, playhead);
+    this.drawLaneHeaders(dataModel);
+    this.drawSelectionBox(selectionBox, selectionStart, showSelectionBox);
     this.drawAmplitudeLabels();
   }
 }
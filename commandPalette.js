@@ -0,0 +1,104 @@
+// commandPalette.js
+// Searchable list of every registered command (Ctrl/Cmd+K by default). Words
+// typed narrow the list by title and id; arrows move, Enter runs, Esc closes.
+
+import { formatBinding } from './commands.js';
+import { escapeHtml } from './html.js';
+
+export class CommandPalette {
+  constructor(commands) {
+    this.commands = commands;
+    this.matches = [];
+    this.active = 0;
+
+    this.element = document.createElement('div');
+    this.element.className = 'export-modal command-palette';
+    this.element.innerHTML = `
+      <div class="export-modal-content command-palette-content">
+        <input class="command-palette-input" type="text" placeholder="Type a command" spellcheck="false">
+        <ul class="command-palette-list" data-role="list"></ul>
+      </div>
+    `;
+    document.body.appendChild(this.element);
+    this.input = this.element.querySelector('input');
+    this.list = this.element.querySelector('[data-role="list"]');
+
+    this.input.addEventListener('input', () => {
+      this.active = 0;
+      this.render();
+    });
+    this.input.addEventListener('keydown', e => this.onKeyDown(e));
+    this.list.addEventListener('click', e => {
+      const item = e.target.closest('[data-id]');
+      if (item) this.run(item.dataset.id);
+    });
+    // A click on the backdrop closes
+    this.element.addEventListener('pointerdown', e => {
+      if (e.target === this.element) this.close();
+    });
+  }
+
+  get isOpen() {
+    return this.element.style.display === 'flex';
+  }
+
+  open() {
+    this.input.value = '';
+    this.active = 0;
+    this.render();
+    this.element.style.display = 'flex';
+    this.input.focus();
+  }
+
+  close() {
+    this.element.style.display = 'none';
+  }
+
+  toggle() {
+    if (this.isOpen) this.close();
+    else this.open();
+  }
+
+  // Every word must appear in the title or id; titles that start with the query come first
+  search(query) {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const q = query.trim().toLowerCase();
+    return this.commands.list()
+      .filter(c => words.every(word => `${c.title} ${c.id}`.toLowerCase().includes(word)))
+      .sort((a, b) => Number(b.title.toLowerCase().startsWith(q)) - Number(a.title.toLowerCase().startsWith(q)));
+  }
+
+  render() {
+    this.matches = this.search(this.input.value);
+    this.active = Math.max(0, Math.min(this.matches.length - 1, this.active));
+    this.list.innerHTML = this.matches.length === 0
+      ? '<li class="command-palette-empty">No matching commands</li>'
+      : this.matches.map((c, i) => `
+        <li class="command-palette-item${i === this.active ? ' active' : ''}" data-id="${escapeHtml(c.id)}">
+          <span>${escapeHtml(c.title)}</span>
+          ${this.commands.keysOf(c.id).map(k => `<kbd>${escapeHtml(formatBinding(k))}</kbd>`).join('')}
+        </li>`).join('');
+    const active = this.list.querySelector('.active');
+    if (active) active.scrollIntoView({ block: 'nearest' });
+  }
+
+  onKeyDown(e) {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const count = this.matches.length;
+      if (count > 0) this.active = (this.active + (e.key === 'ArrowDown' ? 1 : -1) + count) % count;
+      this.render();
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (this.matches[this.active]) this.run(this.matches[this.active].id);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      this.close();
+    }
+  }
+
+  run(id) {
+    this.close();
+    this.commands.run(id);
+  }
+}
@@ -0,0 +1,139 @@
+// commands.js
+// -----------------------------------------------------------
+// Every user action as a named command: { id, title, keys, run() }. One
+// keydown listener dispatches the key bindings, and the command palette lists
+// and runs the same commands.
+//
+// Default bindings come with each command; config.json's KEYMAP overrides
+// them by id, e.g. { "edit.redo": ["Mod+Y"], "edit.quantize": null } (null
+// or [] unbinds). A binding is modifiers and a key joined by '+': Ctrl, Alt,
+// Shift, Meta or Mod (Cmd on macOS, Ctrl elsewhere), then the key as
+// KeyboardEvent.key names it ('Space' for the space bar, '?' for a shifted
+// symbol). Case is ignored.
+// Keys match by the character typed. Only a character outside ASCII also
+// tries its physical position, so letter bindings still work on layouts that
+// type another script without moving keys on Latin ones (AZERTY's A stays A).
+// -----------------------------------------------------------
+
+const IS_MAC = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform);
+const MODIFIERS = ['ctrl', 'alt', 'shift', 'meta'];
+
+// 'Mod+Shift+Z' -> 'ctrl+shift+z' (or 'shift+meta+z' on macOS)
+export function normalizeBinding(binding) {
+  const parts = binding.toLowerCase().split(/\+(?=.)/);
+  const key = parts.pop();
+  const modifiers = new Set(parts.map(m => (m === 'mod' ? (IS_MAC ? 'meta' : 'ctrl') : m === 'cmd' ? 'meta' : m)));
+  modifiers.forEach(m => {
+    if (!MODIFIERS.includes(m)) throw new Error(`Unknown modifier "${m}" in key binding "${binding}"`);
+  });
+  return [...MODIFIERS.filter(m => modifiers.has(m)), key === ' ' ? 'space' : key].join('+');
+}
+
+// The bindings a keydown could mean: by character, then, for non-ASCII
+// characters, by physical key. A symbol typed with Shift is bound as itself
+// ('?', not 'Shift+/').
+function eventBindings(e) {
+  const modifiers = MODIFIERS.filter(m => e[`${m}Key`]);
+  const key = e.key === ' ' ? 'space' : e.key.toLowerCase();
+  const symbol = key.length === 1 && key.toUpperCase() === key;
+  const bindings = [[...modifiers.filter(m => !(symbol && m === 'shift')), key].join('+')];
+  const physical = /^[^\x00-\x7f]$/.test(key) && /^(?:Key|Digit)(.)$/.exec(e.code || '');
+  if (physical) bindings.push([...modifiers, physical[1].toLowerCase()].join('+'));
+  return bindings;
+}
+
+// 'Mod+Shift+Z' as the platform writes it
+export function formatBinding(binding) {
+  return binding.split(/\+(?=.)/).map(part => {
+    const lower = part.toLowerCase();
+    if (lower === 'mod') return IS_MAC ? '⌘' : 'Ctrl';
+    if (lower === 'meta' || lower === 'cmd') return IS_MAC ? '⌘' : 'Meta';
+    if (lower === 'alt' && IS_MAC) return '⌥';
+    return part.length === 1 ? part.toUpperCase() : part;
+  }).join(IS_MAC ? '' : '+');
+}
+
+export class CommandRegistry {
+  constructor(keymap = {}) {
+    this.keymap = keymap;
+    this.commands = new Map(); // id -> { id, title, keys, run }
+    this.bindings = null;      // normalized binding -> command id, built when first needed
+  }
+
+  /**
+   * Add a command: { id, title, keys = [], run() }. Returns a function that
+   * removes it again.
+   */
+  register({ id, title, keys = [], run }) {
+    if (typeof id !== 'string' || typeof run !== 'function') {
+      throw new Error('A command needs a string id and a run() function');
+    }
+    if (this.commands.has(id)) throw new Error(`Command "${id}" is already registered`);
+    this.commands.set(id, { id, title: title || id, keys, run });
+    this.bindings = null;
+    return () => this.unregister(id);
+  }
+
+  unregister(id) {
+    if (!this.commands.delete(id)) return false;
+    this.bindings = null;
+    return true;
+  }
+
+  // The command's bindings after KEYMAP overrides, as written (see formatBinding)
+  keysOf(id) {
+    if (Object.prototype.hasOwnProperty.call(this.keymap, id)) {
+      const override = this.keymap[id];
+      return override ? [].concat(override) : [];
+    }
+    const command = this.commands.get(id);
+    return command ? command.keys : [];
+  }
+
+  // User overrides go in last, so they win over a default they collide with
+  buildBindings() {
+    this.bindings = new Map();
+    const ids = Array.from(this.commands.keys());
+    const overridden = id => Object.prototype.hasOwnProperty.call(this.keymap, id);
+    [...ids.filter(id => !overridden(id)), ...ids.filter(overridden)].forEach(id => {
+      this.keysOf(id).forEach(binding => {
+        let key;
+        try {
+          key = normalizeBinding(binding);
+        } catch (error) {
+          console.warn(`Ignoring key binding for ${id}:`, error.message);
+          return;
+        }
+        const previous = this.bindings.get(key);
+        if (previous && previous !== id) console.warn(`Key ${binding} moves from ${previous} to ${id}`);
+        this.bindings.set(key, id);
+      });
+    });
+  }
+
+  // Every command, by title
+  list() {
+    return Array.from(this.commands.values()).sort((a, b) => a.title.localeCompare(b.title));
+  }
+
+  run(id) {
+    const command = this.commands.get(id);
+    if (!command) throw new Error(`Unknown command "${id}"`);
+    command.run();
+  }
+
+  // Listen for the bindings; typing into a field never triggers them
+  attach(target = window) {
+    target.addEventListener('keydown', e => this.onKeyDown(e));
+  }
+
+  onKeyDown(e) {
+    if (e.defaultPrevented) return;
+    if (e.target && e.target.closest && e.target.closest('input, select, textarea')) return;
+    if (!this.bindings) this.buildBindings();
+    const id = eventBindings(e).map(binding => this.bindings.get(binding)).find(Boolean);
+    if (!id) return;
+    e.preventDefault();
+    this.run(id);
+  }
+}
@@ -7,11 +7,50 @@ const DEFAULT_CONFIG = {
   ZOOM_MAX: 10000,
   DEFAULT_DURATION: 10.0,
   DEFAULT_ZOOM: 2.0,
+  DEFAULT_INTERPOLATION: 'linear',
+  DEFAULT_PITCH: 440,
+  CYCLE_TABLE_SIZE: 2048,
+  INSTRUMENT_VOICES: 8,
+  INSTRUMENT_ATTACK: 0.005,
+  INSTRUMENT_DECAY: 0.1,
+  INSTRUMENT_SUSTAIN: 0.8,
+  INSTRUMENT_RELEASE: 0.2,
+  INSTRUMENT_GAIN: 0.5,
+  INSTRUMENT_ROOT_NOTE: 60,
+  INSTRUMENT_OCTAVE: 4,
+  SYNTH_WORKER: true,
+  SYNTH_WORKER_MIN_SAMPLES: 1000000,
   MAX_UNDO: 50,
+  SNAP_TIME: 'off',
+  SNAP_SAMPLE_RATE: 48000,
+  SNAP_AMPLITUDE_STEP: 0,
   POINT_HIT_RADIUS: 8,
+  TOUCH_HIT_SCALE: 2,
+  TOUCH_SLOP: 8,
+  LONG_PRESS_MS: 500,
+  PENCIL_SMOOTHING: 0.5,
+  PENCIL_SPACING: 4,
+  MARKER_MIN_SPACING: 6,
+  LOD_POINTS_PER_PIXEL: 2,
+  RULER_HEIGHT: 16,
   SELECTION_HIGHLIGHT_RADIUS: 50,
   MAX_AUDIO_IMPORT_DURATION: 5,
+  MAX_GENERATED_POINTS: 200000,
+  SIMPLIFY_TOLERANCE: 0.01,
   AUDIO_EXPORT_BITRATE: 320,
+  EXPORT_WAV_FORMAT: 'pcm16',
+  EXPORT_SAMPLE_RATE: null,
+  RESAMPLE_QUALITY: 'high',
+  SPECTRUM_FFT_SIZE: 4096,
+  SPECTROGRAM_FFT_SIZE: 1024,
+  SPECTRUM_MIN_DB: -100,
+  AMPLITUDE_SCALE: 'linear',
+  AMPLITUDE_MIN_DB: -60,
+  AMPLITUDE_ZOOM_MAX: 64,
+  AMPLITUDE_ZOOM_SENSITIVITY: 0.002,
+  PLUGINS: [],
+  KEYMAP: {},
+  AUTOSAVE_DELAY: 1500,
   COLORS: {
     BG_TOP: '#141414',
     BG_BOTTOM: '#0a0a0a',
@@ -22,7 +61,20 @@ const DEFAULT_CONFIG = {
     WAVEFORM: '#00ffd5ff',
     POINT: '#63fff2ff',
     SELECTION: '#ffc400ff',
-    SELECTION_BOX: '#ffffff20'
+    SELECTION_BOX: '#ffffff20',
+    HANDLE: '#ff7ad9ff',
+    CYCLE_SEAM: '#ff5c5c80',
+    CURSOR: '#ffffff80',
+    PLAYHEAD: '#ff3b3bff',
+    LOOP_REGION: '#00bfff18',
+    LOOP_EDGE: '#00bfffaa',
+    LANE_SEPARATOR: '#5a5a5a',
+    SPECTRUM: '#7cc8ffff',
+    MINIMAP_WINDOW: '#ffffff18',
+    MINIMAP_WINDOW_EDGE: '#ffffffaa',
+    MARKER_FLAG: '#ffd166ff',
+    REGION: '#b388ff30',
+    REGION_EDGE: '#b388ffcc'
   }
 };
 
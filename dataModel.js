@@ -1,221 +1,760 @@
 // dataModel.js
 // -----------------------------------------------------------
-// Handles waveform point data, history (undo/redo), and import/export.
+// The document store: channels and their points, selection, view, effects
+// and undo history. Every change is announced as a typed event (see
+// DOCUMENT_EVENTS), so views, panels and plugins subscribe instead of polling.
 // This module is purely logical — no rendering or DOM manipulation.
 // -----------------------------------------------------------
 
 import { CONFIG } from './config.js';
-
-// === Core Data Structures ===
-export let points = [];        // waveform points [{ time, amplitude }]
-let undoStack = [];            // stack of previous states
-let redoStack = [];            // stack for redo
-let copiedPoints = [];         // buffer for copy/paste
-
-// === State Management ===
-export function saveState() {
-  undoStack.push(JSON.stringify(points));
-  // Prevent unlimited memory growth
-  if (undoStack.length > 100) undoStack.shift();
-  redoStack.length = 0; // clear redo history on new change
+import { DEFAULT_INTERPOLATION, lowerBound } from './interpolation.js';
+import { EFFECT_TYPES, createEffect } from './effects.js';
+import { History, PointPropsCommand, PointsCommand, SwapCommand, pointState } from './history.js';
+import { validatePoints } from './projectFormat.js';
+import { Emitter } from './emitter.js';
+import { snapPosition } from './snap.js';
+import { fromDisplay, toDisplay } from './amplitudeScale.js';
+import * as transforms from './transforms.js';
+
+/**
+ * Events the DataModel emits, and their detail objects:
+ *   points-added / points-removed  { channel, points }
+ *   points-moved       { channel, points }  time, amplitude, interpolation or handles edited
+ *   selection-changed  { selected, point }
+ *   view-changed       { zoom, pan, amplitudeZoom, amplitudePan, amplitudeScale }
+ *   cursor-changed     { cursor }
+ *   loop-changed       { region, enabled }
+ *   settings-changed   { duration, interpolation, mode, pitch }
+ *   snap-changed       { snap }
+ *   channels-changed   { channels, activeChannel }  added, removed, muted, soloed or activated
+ *   effects-changed    { effects }
+ *   markers-changed    { markers, regions }
+ *   history-changed    { history }
+ *   document-loaded    { source }  the whole document was replaced, from a 'project' or imported 'audio'
+ * Each is followed by a 'change' event carrying { type, ...detail }, for
+ * consumers (like the redraw) that only need to know that something changed.
+ */
+export const DOCUMENT_EVENTS = [
+  'points-added', 'points-removed', 'points-moved', 'selection-changed', 'view-changed',
+  'cursor-changed', 'loop-changed', 'settings-changed', 'snap-changed', 'channels-changed', 'effects-changed',
+  'markers-changed', 'history-changed', 'document-loaded'
+];
+
+const MAX_CHANGES = 256; // change log entries kept for incremental consumers
+
+export function createChannel(name, points = []) {
+  return { name, points, muted: false, solo: false };
 }
 
-export function undo() {
-  if (undoStack.length === 0) return;
-  redoStack.push(JSON.stringify(points));
-  points = JSON.parse(undoStack.pop());
+export function createCueId() {
+  return `cue${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
 }
 
-export function redo() {
-  if (redoStack.length === 0) return;
-  undoStack.push(JSON.stringify(points));
-  points = JSON.parse(redoStack.pop());
-}
+export class DataModel extends Emitter {
+  constructor() {
+    super();
+    this.channels = [createChannel('Ch 1')]; // each channel has its own point list
+    this.activeChannel = 0;                   // channel that editing applies to
+    this.selectedPoints = new Set();
+    this.selectedPoint = null;
+    this.copiedPoints = [];
+    this.history = new History(CONFIG.MAX_UNDO || 50);
+    this.duration = CONFIG.DEFAULT_DURATION || 10.0;
+    this.zoom = CONFIG.DEFAULT_ZOOM || 10.0;
+    this.pan = 0;
+    this.amplitudeZoom = 1;        // vertical view: display values amplitudePan ± 1/amplitudeZoom fill a lane
+    this.amplitudePan = 0;
+    this.amplitudeScale = CONFIG.AMPLITUDE_SCALE || 'linear'; // 'linear' or 'db' (see amplitudeScale.js)
+    this.interpolation = CONFIG.DEFAULT_INTERPOLATION || DEFAULT_INTERPOLATION;
+    this.mode = 'oneshot';         // 'oneshot' or 'cycle' (0..duration is one period)
+    this.pitch = CONFIG.DEFAULT_PITCH || 440;
+    this.cursor = 0;               // playback starts here
+    this.loopRegion = null;        // { start, end } in seconds
+    this.loopEnabled = false;
+    this.effects = [];             // effects rack, applied in order on playback and export
+    this.markers = [];             // { id, name, time }, in time order
+    this.regions = [];             // { id, name, start, end, loop }, by start; looping ones become WAV smpl loops
+    this.revision = 0;             // bumped on every edit; views and the audio cache key on it
+    this.changes = [];             // recent edits as { revision, channel, start, end }
+    this.sampleRate = null;        // rate recorded in the project file (null: the audio device's)
+    this.metadata = {};            // free-form project metadata, kept across save and load
+    this.snap = {                  // editor setting, not saved with the project (see snap.js)
+      time: CONFIG.SNAP_TIME || 'off',
+      sampleRate: CONFIG.SNAP_SAMPLE_RATE || 48000,
+      amplitudeStep: CONFIG.SNAP_AMPLITUDE_STEP || 0
+    };
+  }
 
-// === Point Operations ===
-export function setPoints(newPoints) {
-  points = newPoints.map(p => ({ time: p.time, amplitude: p.amplitude }));
-  saveState();
-}
+  // Announce a change: the typed event, then the catch-all 'change'
+  notify(type, detail = {}) {
+    this.emit(type, detail);
+    this.emit('change', { type, ...detail });
+  }
 
-export function addPoint(time, amplitude) {
-  points.push({ time, amplitude });
-  points.sort((a, b) => a.time - b.time);
-  saveState();
-}
+  /**
+   * Record an edit of the points between start and end seconds of one channel.
+   * With no arguments the edit is structural (loads, undo, channels added or
+   * removed) and consumers start over.
+   */
+  touch(start = -Infinity, end = Infinity, channel = null) {
+    this.revision++;
+    this.changes.push({ revision: this.revision, channel, start, end });
+    if (this.changes.length > MAX_CHANGES) this.changes.shift();
+  }
 
-export function removePoints(toRemove) {
-  const set = new Set(toRemove);
-  points = points.filter(p => !set.has(p));
-  saveState();
-}
+  // An edit of one channel; cubic and Bezier segments lean on two neighbours each side
+  touchAround(start, end, channel = this.activeChannel) {
+    const points = this.channels[channel].points;
+    const from = lowerBound(points, start) - 2;
+    const to = lowerBound(points, end) + 2;
+    this.touch(
+      from >= 0 ? points[from].time : -Infinity,
+      to < points.length ? points[to].time : Infinity,
+      channel
+    );
+  }
 
-export function updatePoint(target, newValues) {
-  const index = points.indexOf(target);
-  if (index !== -1) {
-    points[index] = { ...points[index], ...newValues };
-    saveState();
+  // An edit of the given points (or point states) of a channel object
+  touchPoints(points, channel) {
+    const { start, end } = DataModel.timeSpan(points);
+    this.touchAround(start, end, this.channels.indexOf(channel));
   }
-}
 
-// === Copy / Paste ===
-export function copyPoints(selectedPoints) {
-  copiedPoints = selectedPoints.map(p => ({ ...p }));
-}
+  // Time span of a set of points, for touchAround
+  static timeSpan(points) {
+    let start = Infinity;
+    let end = -Infinity;
+    points.forEach(p => {
+      start = Math.min(start, p.time);
+      end = Math.max(end, p.time);
+    });
+    return { start, end };
+  }
 
-export function pastePoints(offset = 0.1) {
-  if (copiedPoints.length === 0) return [];
-  const newPoints = copiedPoints.map(p => ({
-    time: p.time + offset,
-    amplitude: p.amplitude
-  }));
-  points.push(...newPoints);
-  points.sort((a, b) => a.time - b.time);
-  saveState();
-  return newPoints;
-}
+  // The active channel's points; all editing goes through this
+  get points() {
+    return this.channels[this.activeChannel].points;
+  }
 
-// === Selection Utilities ===
-export function selectAllPoints() {
-  return points.slice();
-}
+  set points(value) {
+    this.channels[this.activeChannel].points = value;
+  }
 
-// === Export / Import ===
-export function exportToJSON() {
-  return JSON.stringify(points, null, 2);
-}
+  // Every undoable edit goes through here: apply the command, then record it
+  execute(command) {
+    command.redo();
+    this.history.push(command);
+    this.notify('history-changed', { history: this.history });
+    return command;
+  }
 
-export function importFromJSON(jsonText) {
-  try {
-    const data = JSON.parse(jsonText);
-    if (!Array.isArray(data)) throw new Error("Invalid JSON format");
-    points = data.map(p => ({ time: +p.time, amplitude: +p.amplitude }));
-    saveState();
-  } catch (err) {
-    console.error("Import failed:", err);
+  // Channel management
+  addChannel() {
+    const before = { channels: this.channels.slice(), activeChannel: this.activeChannel };
+    const channels = [...this.channels, createChannel(`Ch ${this.channels.length + 1}`)];
+    this.execute(new SwapCommand('Add channel', state => this.applyChannels(state), before, { channels, activeChannel: channels.length - 1 }));
   }
-}
 
-// === Reset ===
-export function clearAllPoints() {
-  points = [];
-  saveState();
-}
+  removeChannel(index = this.activeChannel) {
+    if (this.channels.length <= 1) return false;
+    const before = { channels: this.channels.slice(), activeChannel: this.activeChannel };
+    const channels = this.channels.filter((_, i) => i !== index);
+    const after = { channels, activeChannel: Math.min(this.activeChannel, channels.length - 1) };
+    this.execute(new SwapCommand(`Remove channel "${this.channels[index].name}"`, state => this.applyChannels(state), before, after));
+    return true;
+  }
 
-// === Utilities ===
-export function getPoints() {
-  return points.map(p => ({ ...p })); // safe copy
-}
+  applyChannels({ channels, activeChannel }) {
+    this.channels = channels.slice();
+    this.touch();
+    this.activeChannel = -1;
+    this.setActiveChannel(activeChannel);
+  }
 
-// -----------------------------------------------------------
-// DataModel class (alternative implementation)
-// -----------------------------------------------------------
-export class DataModel {
-  constructor() {
-    this.points = [];
-    this.selectedPoints = new Set();
-    this.selectedPoint = null;
-    this.copiedPoints = [];
-    this.undoStack = [];
-    this.redoStack = [];
-    this.duration = CONFIG.DEFAULT_DURATION || 10.0;
-    this.zoom = CONFIG.DEFAULT_ZOOM || 10.0;
-    this.pan = 0;
+  setActiveChannel(index) {
+    if (index === this.activeChannel || !this.channels[index]) return;
+    this.activeChannel = index;
+    this.clearSelection();
+    this.notifyChannels();
   }
 
-  // Point management
+  toggleMute(index) {
+    this.channels[index].muted = !this.channels[index].muted;
+    this.notifyChannels();
+  }
+
+  toggleSolo(index) {
+    this.channels[index].solo = !this.channels[index].solo;
+    this.notifyChannels();
+  }
+
+  notifyChannels() {
+    this.notify('channels-changed', { channels: this.channels, activeChannel: this.activeChannel });
+  }
+
+  // Which channels are heard: soloed ones if any are soloed, otherwise the unmuted ones
+  audibleChannels() {
+    const anySolo = this.channels.some(c => c.solo);
+    return this.channels.map(c => (anySolo ? c.solo : !c.muted));
+  }
+
+  // Effects rack: each change swaps in a new list, so the old one is the undo state
+  changeEffects(label, effects) {
+    this.execute(new SwapCommand(label, list => {
+      this.effects = list;
+      this.notify('effects-changed', { effects: list });
+    }, this.effects, effects));
+  }
+
+  // Markers and regions: each change swaps in new lists, like the effects rack
+  changeCues(label, markers, regions, mergeKey = null) {
+    const apply = state => {
+      this.markers = state.markers;
+      this.regions = state.regions;
+      this.notify('markers-changed', state);
+    };
+    const sorted = {
+      markers: markers.slice().sort((a, b) => a.time - b.time),
+      regions: regions.slice().sort((a, b) => a.start - b.start)
+    };
+    this.execute(new SwapCommand(label, apply, { markers: this.markers, regions: this.regions }, sorted, mergeKey));
+  }
+
+  clampTime(t) {
+    return Math.max(0, Math.min(this.duration, t));
+  }
+
+  addMarker(time = this.cursor, name = `Marker ${this.markers.length + 1}`) {
+    const marker = { id: createCueId(), name, time: this.clampTime(time) };
+    this.changeCues(`Add marker "${name}"`, [...this.markers, marker], this.regions);
+    return marker;
+  }
+
+  addRegion(start, end, name = `Region ${this.regions.length + 1}`) {
+    const region = { id: createCueId(), name, start: this.clampTime(Math.min(start, end)), end: this.clampTime(Math.max(start, end)), loop: true };
+    if (!(region.end > region.start)) return null;
+    this.changeCues(`Add region "${name}"`, this.markers, [...this.regions, region]);
+    return region;
+  }
+
+  findCue(id) {
+    return this.markers.find(m => m.id === id) || this.regions.find(r => r.id === id) || null;
+  }
+
+  /**
+   * Edit a marker ({ name, time }) or region ({ name, start, end, loop }) by
+   * id. A region dragged past its other edge turns around. Calls with the
+   * same mergeKey (one per drag) are one undo step.
+   */
+  updateCue(id, changes, mergeKey = null) {
+    const cue = this.findCue(id);
+    if (!cue) return;
+    const updated = { ...cue, ...changes };
+    const isRegion = 'start' in cue;
+    if (isRegion) {
+      const start = this.clampTime(Math.min(updated.start, updated.end));
+      const end = this.clampTime(Math.max(updated.start, updated.end));
+      if (!(end > start)) return;
+      Object.assign(updated, { start, end });
+    } else {
+      updated.time = this.clampTime(updated.time);
+    }
+    const label = `Edit ${isRegion ? 'region' : 'marker'} "${updated.name}"`;
+    this.changeCues(
+      label,
+      this.markers.map(m => (m === cue ? updated : m)),
+      this.regions.map(r => (r === cue ? updated : r)),
+      mergeKey
+    );
+  }
+
+  removeCue(id) {
+    const cue = this.findCue(id);
+    if (!cue) return;
+    this.changeCues(
+      `Remove ${'start' in cue ? 'region' : 'marker'} "${cue.name}"`,
+      this.markers.filter(m => m !== cue),
+      this.regions.filter(r => r !== cue)
+    );
+  }
+
+  addEffect(type) {
+    const effect = createEffect(type);
+    this.changeEffects(`Add ${EFFECT_TYPES[type].label.toLowerCase()}`, [...this.effects, effect]);
+    return effect;
+  }
+
+  removeEffect(id) {
+    const effect = this.effects.find(e => e.id === id);
+    if (!effect) return;
+    this.changeEffects(`Remove ${EFFECT_TYPES[effect.type].label.toLowerCase()}`, this.effects.filter(e => e !== effect));
+  }
+
+  updateEffect(id, changes) {
+    const effect = this.effects.find(e => e.id === id);
+    if (!effect) return;
+    const { params, ...rest } = changes;
+    const updated = { ...effect, ...rest, params: { ...effect.params, ...params } };
+    this.changeEffects(`Edit ${EFFECT_TYPES[effect.type].label.toLowerCase()}`, this.effects.map(e => (e === effect ? updated : e)));
+  }
+
+  moveEffect(id, delta) {
+    const from = this.effects.findIndex(e => e.id === id);
+    const to = from + delta;
+    if (from === -1 || to < 0 || to >= this.effects.length) return;
+    const effects = this.effects.slice();
+    const [effect] = effects.splice(from, 1);
+    effects.splice(to, 0, effect);
+    this.changeEffects(`Move ${EFFECT_TYPES[effect.type].label.toLowerCase()}`, effects);
+  }
+
+  // Point management (all on the active channel)
   addPoint(time, amplitude) {
-    this.saveState();
-    this.points.push({ time, amplitude });
-    this.points.sort((a, b) => a.time - b.time);
+    const point = { time, amplitude };
+    this.execute(new PointsCommand(this, 'Add point', this.channels[this.activeChannel], [], [point]));
+    return point;
   }
 
   removePoints(pointsToRemove) {
-    this.saveState();
-    this.points = this.points.filter(p => !pointsToRemove.has(p));
+    const removed = this.points.filter(p => pointsToRemove.has(p));
+    if (removed.length === 0) return;
+    const label = removed.length === 1 ? 'Delete point' : `Delete ${removed.length} points`;
+    this.execute(new PointsCommand(this, label, this.channels[this.activeChannel], removed, []));
+  }
+
+  /**
+   * Apply property changes to points as one step: `edit(point)` mutates a
+   * point, and its before/after states are recorded. Commands with the same
+   * mergeKey (one per drag) fold into a single history entry.
+   */
+  editPoints(label, targets, edit, mergeKey = null) {
+    if (targets.length === 0) return;
+    const changes = targets.map(point => {
+      const before = pointState(point);
+      edit(point);
+      return { point, before, after: pointState(point) };
+    });
+    // The edits are already on the points; execute() re-applies the same states
+    this.execute(new PointPropsCommand(this, label, this.channels[this.activeChannel], changes, mergeKey));
   }
 
   updatePoint(point, newTime, newAmplitude) {
-    point.time = newTime;
-    point.amplitude = newAmplitude;
-    this.points.sort((a, b) => a.time - b.time);
+    this.editPoints('Move point', [point], p => {
+      p.time = newTime;
+      p.amplitude = newAmplitude;
+    });
+  }
+
+  movePoints(targets, dt, da, mergeKey = null) {
+    const label = targets.length === 1 ? 'Move point' : `Move ${targets.length} points`;
+    this.editPoints(label, targets, p => {
+      p.time += dt;
+      p.amplitude += da;
+    }, mergeKey);
+  }
+
+  // Exact values from the inspector; either may be left undefined. Times stay within 0..duration
+  setPointValues(targets, { time, amplitude }) {
+    const label = targets.length === 1 ? 'Set point' : `Set ${targets.length} points`;
+    this.editPoints(label, targets, p => {
+      if (time !== undefined) p.time = Math.max(0, Math.min(this.duration, time));
+      if (amplitude !== undefined) p.amplitude = Math.max(-1, Math.min(1, amplitude));
+    });
+  }
+
+  // Stretch times away from `origin` (within 0..duration) and scale amplitudes about zero
+  scalePoints(targets, timeFactor, amplitudeFactor, origin = 0) {
+    this.editPoints(`Scale ${targets.length} points`, targets, p => {
+      p.time = Math.max(0, Math.min(this.duration, origin + (p.time - origin) * timeFactor));
+      p.amplitude = Math.max(-1, Math.min(1, p.amplitude * amplitudeFactor));
+    });
+  }
+
+  setHandle(point, which, handle, mergeKey = null) {
+    this.editPoints('Edit Bezier handle', [point], p => {
+      p[which === 'out' ? 'handleOut' : 'handleIn'] = handle;
+    }, mergeKey);
+  }
+
+  // Replace the active channel's points between start and end (inclusive) as one undo step
+  replaceRange(start, end, newPoints, label = 'Replace range') {
+    const removed = this.points.filter(p => p.time >= start && p.time <= end);
+    this.execute(new PointsCommand(this, label, this.channels[this.activeChannel], removed, newPoints));
+    this.setSelection(newPoints);
+    return newPoints;
+  }
+
+  /**
+   * Freehand edits (pencil and eraser): replace the active channel's points
+   * between start and end (inclusive) with `newPoints`, leaving the rest of the
+   * selection alone. A stroke passes one mergeKey for all its moves, so it
+   * undoes as one step.
+   */
+  sweepRange(label, start, end, newPoints, mergeKey = null) {
+    const points = this.points;
+    const removed = [];
+    for (let i = lowerBound(points, start); i < points.length && points[i].time <= end; i++) removed.push(points[i]);
+    if (removed.length === 0 && newPoints.length === 0) return;
+    this.execute(new PointsCommand(this, label, this.channels[this.activeChannel], removed, newPoints, mergeKey));
+    this.pruneSelection();
+  }
+
+  // The points a selection command applies to: the selection, or the single selected point
+  selectionTargets() {
+    return this.selectedPoints.size > 0 ? Array.from(this.selectedPoints) : [this.selectedPoint].filter(Boolean);
+  }
+
+  // Points a transform applies to, sorted by time: the selection, or the whole active channel
+  transformTargets() {
+    const targets = this.selectionTargets();
+    return (targets.length > 0 ? targets : this.points.slice()).sort((a, b) => a.time - b.time);
+  }
+
+  // A time to stretch around: 'start', 'center' or 'end' of the targets, or 'cursor'
+  transformAnchor(which, targets = this.transformTargets()) {
+    if (which === 'cursor' || targets.length === 0) return this.cursor;
+    const start = targets[0].time;
+    const end = targets[targets.length - 1].time;
+    return which === 'end' ? end : which === 'center' ? (start + end) / 2 : start;
+  }
+
+  /**
+   * Apply `transform(targets)` (see transforms.js) to the transform targets as
+   * one step. Amplitudes are clamped to -1..1; like a drag, a transform that
+   * would move any point outside 0..duration is refused. Returns whether it applied.
+   */
+  applyTransform(verb, transform) {
+    const targets = this.transformTargets();
+    if (targets.length === 0) return false;
+    const states = transform(targets);
+    if (states.some(s => s.time < 0 || s.time > this.duration)) return false;
+
+    const byPoint = new Map(targets.map((p, i) => [p, states[i]]));
+    this.editPoints(`${verb} ${targets.length === 1 ? 'point' : `${targets.length} points`}`, targets, p => {
+      Object.entries(byPoint.get(p)).forEach(([key, value]) => {
+        if (value === undefined) delete p[key];
+        else p[key] = value;
+      });
+      p.amplitude = Math.max(-1, Math.min(1, p.amplitude));
+    });
+    return true;
+  }
+
+  reverseSelection() {
+    return this.applyTransform('Reverse', transforms.reverse);
+  }
+
+  invertSelection() {
+    return this.applyTransform('Invert', transforms.invert);
+  }
+
+  normalizeSelection(target = 1, mode = 'peak') {
+    return this.applyTransform('Normalize', points => transforms.normalize(points, target, mode));
+  }
+
+  stretchSelection(factor, anchor = 'start') {
+    if (!(factor > 0)) return false;
+    return this.applyTransform('Stretch', points => transforms.stretch(points, factor, this.transformAnchor(anchor, points)));
+  }
+
+  scaleSelectionAmplitude(factor, anchor = 0) {
+    return this.applyTransform('Scale', points => transforms.scaleAmplitude(points, factor, anchor));
+  }
+
+  removeDCOffset() {
+    return this.applyTransform('Remove DC from', transforms.removeDC);
+  }
+
+  /**
+   * Append a reflection of the targets after their last point (see
+   * transforms.mirror), replacing whatever points were in the way, as one step.
+   * Refused when the reflection would run past the duration.
+   */
+  mirrorSelection({ invert = false } = {}) {
+    const targets = this.transformTargets();
+    const copies = transforms.mirror(targets, { invert });
+    if (copies.length === 0) return false;
+    const pivot = targets[targets.length - 1].time;
+    const end = copies[copies.length - 1].time;
+    if (end > this.duration) return false;
+
+    const inTheWay = this.points.filter(p => p.time > pivot && p.time <= end);
+    const wasSelected = this.selectionTargets().length > 0;
+    this.execute(new PointsCommand(this, `Mirror ${targets.length} points`, this.channels[this.activeChannel], inTheWay, copies));
+    if (wasSelected) this.setSelection([...targets, ...copies]);
+    return true;
+  }
+
+  // Time span of the selection, or null when fewer than two distinct times are selected
+  selectionRange() {
+    const times = Array.from(this.selectedPoints).map(p => p.time);
+    if (times.length < 2) return null;
+    const start = Math.min(...times);
+    const end = Math.max(...times);
+    return end > start ? { start, end } : null;
+  }
+
+  // Per-segment interpolation override (null clears it back to the document default)
+  setSegmentInterpolation(targets, mode) {
+    this.editPoints(mode ? `Set ${mode} interpolation` : 'Clear interpolation', targets, p => {
+      if (mode) {
+        p.interpolation = mode;
+      } else {
+        delete p.interpolation;
+        delete p.handleIn;
+        delete p.handleOut;
+      }
+    });
   }
 
   // Selection management
   selectPoint(point) {
     this.selectedPoints.clear();
     this.selectedPoint = point;
+    this.notifySelection();
   }
 
-  selectAllPoints() {
-    this.selectedPoints = new Set(this.points);
+  // Replace the selection with a set of points
+  setSelection(points) {
+    this.selectedPoints = new Set(points);
     this.selectedPoint = null;
+    this.notifySelection();
+  }
+
+  // Add points to the selection (box selection grows it as the box is dragged)
+  addToSelection(points) {
+    const before = this.selectedPoints.size;
+    points.forEach(p => this.selectedPoints.add(p));
+    if (this.selectedPoints.size !== before) this.notifySelection();
+  }
+
+  selectAllPoints() {
+    this.setSelection(this.points);
   }
 
   clearSelection() {
+    if (this.selectedPoints.size === 0 && this.selectedPoint === null) return;
     this.selectedPoints.clear();
     this.selectedPoint = null;
+    this.notifySelection();
+  }
+
+  notifySelection() {
+    this.notify('selection-changed', { selected: this.selectedPoints, point: this.selectedPoint });
+  }
+
+  // View, cursor, loop and document settings: plain values, set through here so they are announced
+  // The vertical view never shows past full scale
+  setView({
+    zoom = this.zoom,
+    pan = this.pan,
+    amplitudeZoom = this.amplitudeZoom,
+    amplitudePan = this.amplitudePan,
+    amplitudeScale = this.amplitudeScale
+  }) {
+    amplitudeZoom = Math.max(1, Math.min(CONFIG.AMPLITUDE_ZOOM_MAX, amplitudeZoom));
+    const reach = 1 - 1 / amplitudeZoom;
+    amplitudePan = Math.max(-reach, Math.min(reach, amplitudePan));
+    if (
+      zoom === this.zoom && pan === this.pan && amplitudeZoom === this.amplitudeZoom &&
+      amplitudePan === this.amplitudePan && amplitudeScale === this.amplitudeScale
+    ) return;
+    Object.assign(this, { zoom, pan, amplitudeZoom, amplitudePan, amplitudeScale });
+    this.notify('view-changed', { zoom, pan, amplitudeZoom, amplitudePan, amplitudeScale });
+  }
+
+  // Change the amplitude scale, keeping the amplitude at the centre of the view there
+  setAmplitudeScale(scale) {
+    const center = fromDisplay(this.amplitudePan, this.amplitudeScale, CONFIG.AMPLITUDE_MIN_DB);
+    this.setView({ amplitudeScale: scale, amplitudePan: toDisplay(center, scale, CONFIG.AMPLITUDE_MIN_DB) });
+  }
+
+  setCursor(cursor) {
+    if (cursor === this.cursor) return;
+    this.cursor = cursor;
+    this.notify('cursor-changed', { cursor });
+  }
+
+  setLoop(region = this.loopRegion, enabled = this.loopEnabled) {
+    this.loopRegion = region;
+    this.loopEnabled = enabled;
+    this.notify('loop-changed', { region, enabled });
+  }
+
+  setSettings(changes) {
+    ['duration', 'interpolation', 'mode', 'pitch'].forEach(name => {
+      if (changes[name] !== undefined) this[name] = changes[name];
+    });
+    const { duration, interpolation, mode, pitch } = this;
+    this.notify('settings-changed', { duration, interpolation, mode, pitch });
+  }
+
+  setSnap(changes) {
+    Object.assign(this.snap, changes);
+    this.notify('snap-changed', { snap: this.snap });
+  }
+
+  // A position snapped with the current settings; the time grid is the one on screen
+  snapPosition(time, amplitude) {
+    return snapPosition(time, amplitude, this.snap, this.duration / this.zoom);
+  }
+
+  // Move the selected points onto the snap grid as one step
+  quantizeSelection() {
+    const targets = this.selectionTargets();
+    const label = targets.length === 1 ? 'Quantize point' : `Quantize ${targets.length} points`;
+    this.editPoints(label, targets, p => {
+      const snapped = this.snapPosition(p.time, p.amplitude);
+      // A grid line past either end of the document snaps to that end
+      p.time = Math.max(0, Math.min(this.duration, snapped.time));
+      p.amplitude = snapped.amplitude;
+    });
+  }
+
+  // Loop the time span of the selection; an empty selection clears the region
+  setLoopToSelection() {
+    const region = this.selectionRange();
+    this.setLoop(region, region ? true : this.loopEnabled);
+    return region;
   }
 
   // Clipboard operations
   copySelected() {
-    this.copiedPoints = Array.from(this.selectedPoints).map(p => ({
-      time: p.time,
-      amplitude: p.amplitude,
-    }));
+    this.copiedPoints = Array.from(this.selectedPoints).map(p => ({ ...p }));
   }
 
   pastePoints() {
     if (this.copiedPoints.length === 0) return;
-    this.saveState();
 
     const lastPoint = this.points[this.points.length - 1];
     const startTime = lastPoint ? lastPoint.time : 0;
     const firstCopiedTime = this.copiedPoints[0].time;
 
     const newPoints = this.copiedPoints.map(p => ({
+      ...p,
       time: startTime + (p.time - firstCopiedTime),
-      amplitude: p.amplitude,
     }));
 
-    this.points.push(...newPoints);
-    this.selectedPoints = new Set(newPoints);
-    this.points.sort((a, b) => a.time - b.time);
+    const label = newPoints.length === 1 ? 'Paste point' : `Paste ${newPoints.length} points`;
+    this.execute(new PointsCommand(this, label, this.channels[this.activeChannel], [], newPoints));
+    this.setSelection(newPoints);
     return newPoints;
   }
 
-  // Undo/Redo
-  saveState() {
-    this.undoStack.push(JSON.stringify(this.points));
-    const maxUndo = CONFIG.MAX_UNDO || 20;
-    if (this.undoStack.length > maxUndo) this.undoStack.shift();
-    this.redoStack = [];
-  }
-
+  // Undo/Redo; points that an undo removed drop out of the selection
   undo() {
-    if (this.undoStack.length === 0) return false;
-    this.redoStack.push(JSON.stringify(this.points));
-    this.points = JSON.parse(this.undoStack.pop());
-    return true;
+    const done = this.history.undo();
+    if (done) this.afterHistoryStep();
+    return done;
   }
 
   redo() {
-    if (this.redoStack.length === 0) return false;
-    this.undoStack.push(JSON.stringify(this.points));
-    this.points = JSON.parse(this.redoStack.pop());
-    return true;
+    const done = this.history.redo();
+    if (done) this.afterHistoryStep();
+    return done;
+  }
+
+  jumpToHistory(index) {
+    this.history.jumpTo(index);
+    this.afterHistoryStep();
+  }
+
+  afterHistoryStep() {
+    this.pruneSelection();
+    this.notify('history-changed', { history: this.history });
+  }
+
+  pruneSelection() {
+    const present = new Set(this.points);
+    const kept = Array.from(this.selectedPoints).filter(p => present.has(p));
+    const lostPoint = this.selectedPoint && !present.has(this.selectedPoint);
+    if (kept.length === this.selectedPoints.size && !lostPoint) return;
+    this.selectedPoints = new Set(kept);
+    if (lostPoint) this.selectedPoint = null;
+    this.notifySelection();
   }
 
   // Data loading
   loadPoints(newPoints) {
-    this.points = newPoints;
-    this.clearSelection();
-    this.undoStack = [];
-    this.redoStack = [];
+    this.loadChannels([newPoints]);
+  }
+
+  // One point list per channel; each list is checked before anything changes.
+  // `sampleRate` is the rate the points were sampled at, if they came from audio,
+  // and `cues` the markers and regions that came with it ({ markers, regions }).
+  loadChannels(channelPoints, names = [], sampleRate = null, cues = {}) {
+    this.resetChannels(channelPoints, names);
+    this.sampleRate = sampleRate;
+    this.markers = (cues.markers || []).map(m => ({ id: createCueId(), ...m }));
+    this.regions = (cues.regions || []).map(r => ({ id: createCueId(), loop: true, ...r }));
+    this.notify('document-loaded', { source: 'audio' });
+  }
+
+  // Replace every channel quietly; the caller announces the load once it is complete
+  resetChannels(channelPoints, names) {
+    channelPoints.forEach((points, i) => validatePoints(points, `Channel "${names[i] || `Ch ${i + 1}`}": `));
+    this.channels = channelPoints.map((points, i) => createChannel(names[i] || `Ch ${i + 1}`, points));
+    this.activeChannel = 0;
+    this.selectedPoints = new Set();
+    this.selectedPoint = null;
+    this.history.clear();
+    this.touch();
+  }
+
+  // Header and view values for project files that do not carry them
+  projectDefaults() {
+    return {
+      header: {
+        duration: CONFIG.DEFAULT_DURATION || 10.0,
+        sampleRate: null,
+        mode: 'oneshot',
+        pitch: CONFIG.DEFAULT_PITCH || 440,
+        interpolation: CONFIG.DEFAULT_INTERPOLATION || DEFAULT_INTERPOLATION
+      },
+      view: {
+        zoom: CONFIG.DEFAULT_ZOOM || 10.0,
+        pan: 0,
+        amplitudeZoom: 1,
+        amplitudePan: 0,
+        amplitudeScale: CONFIG.AMPLITUDE_SCALE || 'linear',
+        cursor: 0,
+        activeChannel: 0
+      }
+    };
+  }
+
+  // A validated project (see projectFormat.js) replaces the whole document
+  loadProject(project) {
+    const { header, view, loop } = project;
+    this.resetChannels(project.channels.map(c => c.points), project.channels.map(c => c.name));
+    project.channels.forEach((c, i) => {
+      this.channels[i].muted = c.muted;
+      this.channels[i].solo = c.solo;
+    });
+    this.effects = project.effects;
+    this.duration = header.duration;
+    this.sampleRate = header.sampleRate;
+    this.mode = header.mode;
+    this.pitch = header.pitch;
+    this.interpolation = header.interpolation;
+    this.zoom = view.zoom;
+    this.pan = view.pan;
+    this.amplitudeZoom = view.amplitudeZoom;
+    this.amplitudePan = view.amplitudePan;
+    this.amplitudeScale = view.amplitudeScale;
+    this.cursor = view.cursor;
+    this.activeChannel = view.activeChannel;
+    this.loopRegion = loop.region;
+    this.loopEnabled = loop.enabled;
+    this.markers = project.markers;
+    this.regions = project.regions;
+    this.selectedPoints = new Set(project.selection.map(i => this.points[i]));
+    this.metadata = project.metadata;
+    this.notify('document-loaded', { source: 'project' });
   }
 
   // Hash for change detection
   hash() {
-    return JSON.stringify(this.points);
+    return JSON.stringify(this.channels.map(c => c.points));
   }
 }
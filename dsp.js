@@ -0,0 +1,174 @@
+// dsp.js
+// Signal-processing helpers: FFT, windows, magnitude spectra and resampling.
+// Pure functions on typed arrays — no DOM, no audio context.
+// -----------------------------------------------------------
+
+/**
+ * In-place radix-2 FFT. `re` and `im` must have the same power-of-two length.
+ */
+export function fft(re, im) {
+  const n = re.length;
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const half = size >> 1;
+    const step = (-2 * Math.PI) / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < half; k++) {
+        const cos = Math.cos(step * k);
+        const sin = Math.sin(step * k);
+        const a = start + k;
+        const b = a + half;
+        const tr = re[b] * cos - im[b] * sin;
+        const ti = re[b] * sin + im[b] * cos;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+      }
+    }
+  }
+}
+
+const windows = new Map();
+
+// Hann window, cached per size
+export function hannWindow(size) {
+  if (!windows.has(size)) {
+    const w = new Float32Array(size);
+    for (let i = 0; i < size; i++) w[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (size - 1));
+    windows.set(size, w);
+  }
+  return windows.get(size);
+}
+
+/**
+ * Magnitude in dBFS of `size / 2` bins for one frame starting at `offset`.
+ * Samples outside the array count as silence. A full-scale sine reads 0 dB.
+ */
+export function frameSpectrum(samples, offset, size) {
+  const re = new Float32Array(size);
+  const im = new Float32Array(size);
+  const window = hannWindow(size);
+  for (let i = 0; i < size; i++) {
+    const s = samples[offset + i];
+    re[i] = s === undefined ? 0 : s * window[i];
+  }
+  fft(re, im);
+
+  const bins = new Float32Array(size / 2);
+  const scale = 4 / size; // Hann coherent gain (0.5) and one-sided spectrum (x2)
+  for (let k = 0; k < bins.length; k++) {
+    const mag = Math.hypot(re[k], im[k]) * scale;
+    bins[k] = 20 * Math.log10(mag + 1e-12);
+  }
+  return bins;
+}
+
+/**
+ * Average spectrum (in dBFS) of samples[start..end), using up to `maxFrames`
+ * evenly spaced frames. Short ranges are zero-padded to one frame.
+ */
+export function averageSpectrum(samples, start, end, size, maxFrames = 64) {
+  const length = Math.max(0, end - start);
+  const frames = Math.max(1, Math.min(maxFrames, Math.floor(length / size)));
+  const hop = frames > 1 ? (length - size) / (frames - 1) : 0;
+  const power = new Float32Array(size / 2);
+
+  for (let f = 0; f < frames; f++) {
+    const bins = frameSpectrum(samples.subarray(start, end), Math.round(f * hop), size);
+    for (let k = 0; k < bins.length; k++) power[k] += Math.pow(10, bins[k] / 10);
+  }
+  for (let k = 0; k < power.length; k++) power[k] = 10 * Math.log10(power[k] / frames + 1e-24);
+  return power;
+}
+
+/**
+ * Windowed-sinc kernels by quality: zero crossings each side, Kaiser window
+ * beta, and the cutoff as a fraction of the lower Nyquist frequency.
+ */
+export const RESAMPLE_QUALITIES = {
+  fast: { zeros: 8, beta: 5, rolloff: 0.9 },
+  standard: { zeros: 24, beta: 7.5, rolloff: 0.95 },
+  high: { zeros: 64, beta: 9.5, rolloff: 0.98 }
+};
+
+const KERNEL_STEPS = 512; // table entries per zero crossing
+const kernels = new Map();
+
+// Zeroth-order modified Bessel function, for the Kaiser window
+function besselI0(x) {
+  let sum = 1;
+  let term = 1;
+  for (let k = 1; k < 50; k++) {
+    term *= (x / (2 * k)) ** 2;
+    sum += term;
+    if (term < sum * 1e-12) break;
+  }
+  return sum;
+}
+
+// One side of the windowed sinc, sampled KERNEL_STEPS times per zero crossing
+function sincKernel(quality) {
+  if (!kernels.has(quality)) {
+    const { zeros, beta } = RESAMPLE_QUALITIES[quality];
+    const table = new Float64Array(zeros * KERNEL_STEPS + 2);
+    const norm = besselI0(beta);
+    for (let i = 0; i < table.length; i++) {
+      const x = i / KERNEL_STEPS;
+      const r = x / zeros;
+      const window = r < 1 ? besselI0(beta * Math.sqrt(1 - r * r)) / norm : 0;
+      table[i] = (x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x)) * window;
+    }
+    kernels.set(quality, table);
+  }
+  return kernels.get(quality);
+}
+
+/**
+ * Band-limited resampling of `samples` from one rate to another. The output
+ * has `length` samples (by default the input length scaled by the rate ratio,
+ * rounded), with output sample n at input time n * fromRate / toRate.
+ * Samples outside the input count as silence.
+ */
+export function resample(samples, fromRate, toRate, { quality = 'high', length } = {}) {
+  const outLength = length ?? Math.round((samples.length * toRate) / fromRate);
+  const out = new Float32Array(outLength);
+  if (fromRate === toRate) {
+    out.set(samples.subarray(0, outLength));
+    return out;
+  }
+  if (!RESAMPLE_QUALITIES[quality]) throw new Error(`Unknown resampling quality "${quality}"`);
+
+  const { zeros, rolloff } = RESAMPLE_QUALITIES[quality];
+  const table = sincKernel(quality);
+  // Downsampling narrows the passband to the new Nyquist frequency
+  const scale = Math.min(1, toRate / fromRate) * rolloff;
+  const reach = zeros / scale;
+  const step = fromRate / toRate;
+  const last = samples.length - 1;
+
+  for (let n = 0; n < outLength; n++) {
+    const t = n * step;
+    const from = Math.max(0, Math.ceil(t - reach));
+    const to = Math.min(last, Math.floor(t + reach));
+    let sum = 0;
+    for (let j = from; j <= to; j++) {
+      const x = Math.abs(t - j) * scale * KERNEL_STEPS;
+      const i = x | 0;
+      sum += samples[j] * (table[i] + (table[i + 1] - table[i]) * (x - i));
+    }
+    out[n] = sum * scale;
+  }
+  return out;
+}
@@ -0,0 +1,225 @@
+// effects.js
+// Non-destructive effects rack. Effects are plain data stored in the document
+// ({ id, type, enabled, params }) and rendered through an OfflineAudioContext.
+
+export const EFFECT_TYPES = {
+  filter: {
+    label: 'Filter',
+    params: {
+      kind: { label: 'Type', options: ['lowpass', 'highpass', 'bandpass', 'notch', 'peaking', 'lowshelf', 'highshelf'], default: 'lowpass' },
+      frequency: { label: 'Freq (Hz)', min: 20, max: 20000, step: 1, default: 2000 },
+      q: { label: 'Q', min: 0.1, max: 30, step: 0.1, default: 0.7 },
+      gain: { label: 'Gain (dB)', min: -24, max: 24, step: 0.5, default: 0 }
+    }
+  },
+  gain: {
+    label: 'Gain',
+    params: {
+      gain: { label: 'Gain (dB)', min: -48, max: 24, step: 0.5, default: 0 }
+    }
+  },
+  distortion: {
+    label: 'Distortion',
+    params: {
+      drive: { label: 'Drive', min: 0, max: 1, step: 0.01, default: 0.5 },
+      mix: { label: 'Mix', min: 0, max: 1, step: 0.01, default: 1 }
+    }
+  },
+  delay: {
+    label: 'Delay',
+    params: {
+      time: { label: 'Time (s)', min: 0.01, max: 2, step: 0.01, default: 0.25 },
+      feedback: { label: 'Feedback', min: 0, max: 0.95, step: 0.01, default: 0.4 },
+      mix: { label: 'Mix', min: 0, max: 1, step: 0.01, default: 0.35 }
+    }
+  },
+  reverb: {
+    label: 'Reverb',
+    params: {
+      decay: { label: 'Decay (s)', min: 0.1, max: 8, step: 0.1, default: 1.8 },
+      mix: { label: 'Mix', min: 0, max: 1, step: 0.01, default: 0.3 }
+    }
+  },
+  fade: {
+    label: 'Fade',
+    params: {
+      fadeIn: { label: 'In (s)', min: 0, max: 10, step: 0.01, default: 0.01 },
+      fadeOut: { label: 'Out (s)', min: 0, max: 10, step: 0.01, default: 0.05 }
+    }
+  }
+};
+
+const MAX_TAIL = 10; // seconds of delay/reverb tail kept on export
+
+export function createEffect(type) {
+  const definition = EFFECT_TYPES[type];
+  if (!definition) throw new Error(`Unknown effect "${type}"`);
+  const params = {};
+  Object.entries(definition.params).forEach(([name, spec]) => {
+    params[name] = spec.default;
+  });
+  return { id: `fx${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`, type, enabled: true, params };
+}
+
+// Seconds the rack keeps ringing after the input ends
+export function effectsTail(effects) {
+  let tail = 0;
+  effects.forEach(effect => {
+    if (!effect.enabled) return;
+    if (effect.type === 'reverb') tail += effect.params.decay;
+    if (effect.type === 'delay') {
+      // Repeats until they drop below -60 dB
+      const repeats = effect.params.feedback > 0 ? Math.log(0.001) / Math.log(effect.params.feedback) : 1;
+      tail += effect.params.time * Math.max(1, repeats);
+    }
+  });
+  return Math.min(MAX_TAIL, tail);
+}
+
+// The bundled impulse: exponentially decaying stereo noise, seeded so renders are repeatable
+function createImpulse(context, decay) {
+  const length = Math.max(1, Math.floor(context.sampleRate * decay));
+  const impulse = context.createBuffer(2, length, context.sampleRate);
+  let seed = 0x2f6b1d;
+  const random = () => {
+    seed = (seed * 1664525 + 1013904223) >>> 0;
+    return seed / 0x100000000;
+  };
+  for (let ch = 0; ch < 2; ch++) {
+    const data = impulse.getChannelData(ch);
+    for (let i = 0; i < length; i++) {
+      data[i] = (random() * 2 - 1) * Math.pow(1 - i / length, 3);
+    }
+  }
+  return impulse;
+}
+
+function distortionCurve(drive) {
+  const k = drive * 100;
+  const curve = new Float32Array(1024);
+  for (let i = 0; i < curve.length; i++) {
+    const x = (i * 2) / (curve.length - 1) - 1;
+    curve[i] = ((1 + k) * x) / (1 + k * Math.abs(x));
+  }
+  return curve;
+}
+
+const dbToGain = db => Math.pow(10, db / 20);
+
+// Dry/wet pair: input feeds both paths and they meet in the returned output node
+function mixNodes(context, input, wetPath, mix) {
+  const output = context.createGain();
+  const dry = context.createGain();
+  const wet = context.createGain();
+  dry.gain.value = 1 - mix;
+  wet.gain.value = mix;
+  input.connect(dry).connect(output);
+  input.connect(wetPath.input);
+  wetPath.output.connect(wet).connect(output);
+  return output;
+}
+
+// Connect one effect after `input` and return the node that carries its output
+function connectEffect(context, input, effect, skipFades) {
+  const p = effect.params;
+  switch (effect.type) {
+    case 'filter': {
+      const filter = context.createBiquadFilter();
+      filter.type = p.kind;
+      filter.frequency.value = p.frequency;
+      filter.Q.value = p.q;
+      filter.gain.value = p.gain;
+      return input.connect(filter);
+    }
+    case 'gain': {
+      const gain = context.createGain();
+      gain.gain.value = dbToGain(p.gain);
+      return input.connect(gain);
+    }
+    case 'distortion': {
+      const shaper = context.createWaveShaper();
+      shaper.curve = distortionCurve(p.drive);
+      shaper.oversample = '4x';
+      return mixNodes(context, input, { input: shaper, output: shaper }, p.mix);
+    }
+    case 'delay': {
+      const delay = context.createDelay(2);
+      const feedback = context.createGain();
+      delay.delayTime.value = p.time;
+      feedback.gain.value = p.feedback;
+      delay.connect(feedback).connect(delay);
+      return mixNodes(context, input, { input: delay, output: delay }, p.mix);
+    }
+    case 'reverb': {
+      const convolver = context.createConvolver();
+      convolver.buffer = createImpulse(context, p.decay);
+      return mixNodes(context, input, { input: convolver, output: convolver }, p.mix);
+    }
+    case 'fade': {
+      const gain = context.createGain();
+      if (!skipFades) {
+        // Fades span the whole render, tail included
+        const end = context.length / context.sampleRate;
+        const fadeIn = Math.min(p.fadeIn, end / 2);
+        const fadeOut = Math.min(p.fadeOut, end / 2);
+        gain.gain.setValueAtTime(fadeIn > 0 ? 0 : 1, 0);
+        if (fadeIn > 0) gain.gain.linearRampToValueAtTime(1, fadeIn);
+        gain.gain.setValueAtTime(1, end - fadeOut);
+        gain.gain.linearRampToValueAtTime(0, end);
+      }
+      return input.connect(gain);
+    }
+    default:
+      throw new Error(`Unknown effect "${effect.type}"`);
+  }
+}
+
+/**
+ * Render `buffer` through the enabled effects, in order.
+ * options.tail extends the output so delay and reverb can ring out;
+ * options.skipFades leaves fade effects out (used for looping material).
+ */
+export async function renderEffects(buffer, effects, options = {}) {
+  const active = effects.filter(e => e.enabled);
+  if (active.length === 0) return buffer;
+
+  const tail = options.tail ? effectsTail(active) : 0;
+  const length = buffer.length + Math.ceil(tail * buffer.sampleRate);
+  const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  const context = new OfflineContext(buffer.numberOfChannels, length, buffer.sampleRate);
+
+  const source = context.createBufferSource();
+  source.buffer = buffer;
+  let node = source;
+  active.forEach(effect => {
+    node = connectEffect(context, node, effect, options.skipFades);
+  });
+  node.connect(context.destination);
+  source.start(0);
+
+  return context.startRendering();
+}
+
+/**
+ * Effects for material that repeats seamlessly (cycle loops): the buffer is
+ * processed twice over and the second pass kept, so tails wrap across the seam.
+ */
+export async function renderLoopEffects(buffer, effects) {
+  const active = effects.filter(e => e.enabled);
+  if (active.length === 0) return buffer;
+
+  const { numberOfChannels, length, sampleRate } = buffer;
+  const doubled = new AudioBuffer({ numberOfChannels, length: length * 2, sampleRate });
+  for (let ch = 0; ch < numberOfChannels; ch++) {
+    const data = buffer.getChannelData(ch);
+    doubled.copyToChannel(data, ch, 0);
+    doubled.copyToChannel(data, ch, length);
+  }
+
+  const rendered = await renderEffects(doubled, active, { skipFades: true });
+  const loop = new AudioBuffer({ numberOfChannels, length, sampleRate });
+  for (let ch = 0; ch < numberOfChannels; ch++) {
+    loop.copyToChannel(rendered.getChannelData(ch).subarray(length), ch);
+  }
+  return loop;
+}
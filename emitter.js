@@ -0,0 +1,35 @@
+// emitter.js
+// Minimal synchronous event emitter. The DataModel extends it so views,
+// panels and plugins can follow the document without polling it.
+// -----------------------------------------------------------
+
+export class Emitter {
+  constructor() {
+    this.listeners = new Map(); // type -> Set of handlers
+  }
+
+  // Subscribe; returns a function that unsubscribes
+  on(type, handler) {
+    if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+    this.listeners.get(type).add(handler);
+    return () => this.off(type, handler);
+  }
+
+  off(type, handler) {
+    const handlers = this.listeners.get(type);
+    if (handlers) handlers.delete(handler);
+  }
+
+  // Handlers run in subscription order; one that throws does not stop the rest
+  emit(type, detail = {}) {
+    const handlers = this.listeners.get(type);
+    if (!handlers) return;
+    Array.from(handlers).forEach(handler => {
+      try {
+        handler(detail);
+      } catch (error) {
+        console.error(`Error in "${type}" handler:`, error);
+      }
+    });
+  }
+}
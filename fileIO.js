@@ -3,149 +3,175 @@
 
 import { CONFIG } from './config.js';
 import { AudioEngine } from './audioEngine.js';
+import { PROJECT_EXTENSION, parseProject } from './projectFormat.js';
+import { decodeCueChunks, decodeWav, encodeCueChunks, encodeWav } from './wavCodec.js';
+import { resample } from './dsp.js';
 
 export class FileIO {
-  // Export waveform data to JSON and trigger browser download
-  static exportToJSON(points) {
-    const json = JSON.stringify(points);
-    const blob = new Blob([json], { type: 'application/json' });
+  // Trigger a browser download of a blob
+  static download(blob, filename) {
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = 'wave_points.json';
+    a.download = filename;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
   }
 
-  // Load waveform data from a JSON file
-  static loadFromJSON(file) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = e => {
-        try {
-          const points = JSON.parse(e.target.result);
-          resolve(points);
-        } catch (error) {
-          reject(error);
-        }
-      };
-      reader.onerror = () => reject(new Error('Failed to read file'));
-      reader.readAsText(file);
-    });
+  // Save a project (see projectFormat.js) and trigger browser download
+  static exportProject(project, filename = `waveform${PROJECT_EXTENSION}`) {
+    const json = JSON.stringify(project);
+    this.download(new Blob([json], { type: 'application/json' }), filename);
   }
 
+  // Read a .wavesmith project (or a legacy point-array JSON file), migrated and validated
+  static async loadProject(file, defaults) {
+    const text = await file.text();
+    return parseProject(text, defaults);
+  }
+
+  /**
+   * Decode an audio file into one point list per channel, at the file's own
+   * rate: { channels, sampleRate, cues }. WAV files are read natively, with
+   * their markers and regions as cues ({ markers, regions }, in seconds);
+   * other formats (and WAV encodings the reader does not handle) go through
+   * the browser, which resamples to the device rate.
+   */
   static async loadAudio(file) {
-    const audioContext = new (window.AudioContext || window.webkitAudioContext)();
     const arrayBuffer = await file.arrayBuffer();
-    const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
-
-    const maxDuration = Math.min(audioBuffer.duration, CONFIG.MAX_AUDIO_IMPORT_DURATION);
-    const sampleRate = audioBuffer.sampleRate;
-    const points = [];
-
-    const channelData = audioBuffer.getChannelData(0);
-    const totalSamples = Math.min(Math.floor(maxDuration * sampleRate), channelData.length);
-    for (let i = 0; i < totalSamples; i++) {
-      const sample = channelData[i];
-      const time = i / sampleRate;
-      points.push({ time, amplitude: sample });
+    let decoded = null;
+    if (/\.wav$/i.test(file.name)) {
+      try {
+        decoded = decodeWav(arrayBuffer);
+      } catch (error) {
+        console.warn(`Native WAV reader failed (${error.message}); using the browser decoder`);
+      }
     }
+    if (!decoded) {
+      const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+      const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
+      decoded = {
+        sampleRate: audioBuffer.sampleRate,
+        channels: Array.from({ length: audioBuffer.numberOfChannels }, (_, ch) => audioBuffer.getChannelData(ch)),
+        chunks: []
+      };
+    }
+
+    const { sampleRate } = decoded;
+    const totalSamples = Math.floor(CONFIG.MAX_AUDIO_IMPORT_DURATION * sampleRate);
+    const channels = decoded.channels.map(channelData => {
+      const points = [];
+      const length = Math.min(totalSamples, channelData.length);
+      for (let i = 0; i < length; i++) {
+        points.push({ time: i / sampleRate, amplitude: channelData[i] });
+      }
+      return points;
+    });
 
-    return points.sort((a, b) => a.time - b.time);
+    const length = channels.length > 0 ? channels[0].length : 0;
+    return { channels, sampleRate, cues: this.cueTimes(decodeCueChunks(decoded.chunks), sampleRate, length) };
   }
 
-  static audioBufferToWav(buffer) {
-    const numChannels = buffer.numberOfChannels;
-    const sampleRate = buffer.sampleRate;
-    const bitsPerSample = 16;
-    const blockAlign = numChannels * (bitsPerSample / 8);
-    const byteRate = sampleRate * blockAlign;
-    const samples = buffer.length;
-    const dataSize = samples * blockAlign;
-    const bufferLen = 44 + dataSize;
-    const view = new DataView(new ArrayBuffer(bufferLen));
-
-    const writeString = (offset, string) => {
-      for (let i = 0; i < string.length; i++) {
-        view.setUint8(offset + i, string.charCodeAt(i));
-      }
+  // Frames to seconds, keeping what falls inside the first `length` frames
+  static cueTimes({ markers = [], regions = [] }, sampleRate, length) {
+    return {
+      markers: markers.filter(m => m.frame <= length).map(m => ({ name: m.name, time: m.frame / sampleRate })),
+      regions: regions
+        .filter(r => r.start < length)
+        .map(r => ({ name: r.name, start: r.start / sampleRate, end: Math.min(r.end, length) / sampleRate, loop: r.loop }))
     };
+  }
 
-    writeString(0, 'RIFF');
-    view.setUint32(4, 36 + dataSize, true);
-    writeString(8, 'WAVE');
-    writeString(12, 'fmt ');
-    view.setUint32(16, 16, true);
-    view.setUint16(20, 1, true);
-    view.setUint16(22, numChannels, true);
-    view.setUint32(24, sampleRate, true);
-    view.setUint32(28, byteRate, true);
-    view.setUint16(32, blockAlign, true);
-    view.setUint16(34, bitsPerSample, true);
-    writeString(36, 'data');
-    view.setUint32(40, dataSize, true);
-
-    let pos = 44;
-    for (let i = 0; i < samples; i++) {
-      for (let ch = 0; ch < numChannels; ch++) {
-        let sample = buffer.getChannelData(ch)[i];
-        sample = Math.max(-1, Math.min(1, sample));
-        const s = sample < 0 ? sample * 0x8000 : sample * 0x7fff;
-        view.setInt16(pos, Math.floor(s), true);
-        pos += 2;
-      }
-    }
+  // Conventional names for the channels of an imported file
+  static channelNames(count) {
+    if (count === 1) return ['Mono'];
+    if (count === 2) return ['L', 'R'];
+    return Array.from({ length: count }, (_, i) => `Ch ${i + 1}`);
+  }
 
-    return view.buffer;
+  /**
+   * Encode an AudioBuffer as WAV. options: { format (see WAV_FORMATS),
+   * sampleRate (resampled when it differs from the buffer's), quality (see
+   * RESAMPLE_QUALITIES), cues }. `cues` ({ markers, regions, pitch }, times in
+   * seconds of the buffer) are written as cue, label and smpl loop chunks;
+   * `pitch` is the frequency the audio sounds at, when it has one.
+   */
+  static audioBufferToWav(buffer, options = {}) {
+    const sampleRate = options.sampleRate || buffer.sampleRate;
+    const channels = Array.from({ length: buffer.numberOfChannels }, (_, ch) => {
+      const data = buffer.getChannelData(ch);
+      return sampleRate === buffer.sampleRate ? data : resample(data, buffer.sampleRate, sampleRate, { quality: options.quality });
+    });
+    const frames = channels.length > 0 ? channels[0].length : 0;
+    const chunks = options.cues ? this.cueChunks(options.cues, sampleRate, frames) : [];
+    return encodeWav(channels, sampleRate, { format: options.format || CONFIG.EXPORT_WAV_FORMAT, chunks });
   }
 
-  static async exportToWav(audioBuffer) {
-    const wavBuffer = this.audioBufferToWav(audioBuffer);
-    const blob = new Blob([wavBuffer], { type: 'audio/wav' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'wavesmith_export.wav';
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+  // Seconds to frames of the encoded file; regions that end up empty are dropped
+  static cueChunks({ markers = [], regions = [], pitch = null }, sampleRate, frames) {
+    const frame = t => Math.max(0, Math.min(frames, Math.round(t * sampleRate)));
+    const unityNote = pitch ? 69 + 12 * Math.log2(pitch / 440) : 60;
+    return encodeCueChunks({
+      markers: markers.map(m => ({ name: m.name, frame: frame(m.time) })),
+      regions: regions
+        .map(r => ({ name: r.name, start: frame(r.start), end: frame(r.end), loop: r.loop }))
+        .filter(r => r.end > r.start)
+    }, sampleRate, unityNote);
+  }
+
+  static wavBlob(audioBuffer, options = {}) {
+    return new Blob([this.audioBufferToWav(audioBuffer, options)], { type: 'audio/wav' });
+  }
+
+  // Mono and stereo pass through; for more channels, even ones go left and odd ones right
+  static mp3Channels(audioBuffer) {
+    const count = audioBuffer.numberOfChannels;
+    if (count <= 2) {
+      return Array.from({ length: count }, (_, ch) => audioBuffer.getChannelData(ch));
+    }
+
+    const left = new Float32Array(audioBuffer.length);
+    const right = new Float32Array(audioBuffer.length);
+    for (let ch = 0; ch < count; ch++) {
+      const target = ch % 2 === 0 ? left : right;
+      const share = 1 / Math.ceil((count - (ch % 2)) / 2);
+      const data = audioBuffer.getChannelData(ch);
+      for (let i = 0; i < data.length; i++) target[i] += data[i] * share;
+    }
+    return [left, right];
   }
 
-  static async exportToMp3(audioBuffer) {
+  static mp3Blob(audioBuffer) {
     if (typeof lamejs === 'undefined') {
       throw new Error('lamejs library not loaded. Include lame.min.js in your HTML.');
     }
 
-    const mp3Encoder = new lamejs.Mp3Encoder(1, audioBuffer.sampleRate, CONFIG.AUDIO_EXPORT_BITRATE);
-    const samples = audioBuffer.getChannelData(0);
+    // MP3 is mono or stereo; wider documents are folded down to stereo
+    const outputs = this.mp3Channels(audioBuffer);
+    const mp3Encoder = new lamejs.Mp3Encoder(outputs.length, audioBuffer.sampleRate, CONFIG.AUDIO_EXPORT_BITRATE);
     const mp3Data = [];
 
-    const int16Samples = new Int16Array(samples.length);
-    for (let i = 0; i < samples.length; i++) {
-      int16Samples[i] = samples[i] < 0 ? samples[i] * 0x8000 : samples[i] * 0x7fff;
-    }
+    const int16Channels = outputs.map(samples => {
+      const int16Samples = new Int16Array(samples.length);
+      for (let i = 0; i < samples.length; i++) {
+        const sample = Math.max(-1, Math.min(1, samples[i]));
+        int16Samples[i] = sample < 0 ? sample * 0x8000 : sample * 0x7fff;
+      }
+      return int16Samples;
+    });
 
     const blockSize = 1152;
-    for (let i = 0; i < int16Samples.length; i += blockSize) {
-      const chunk = int16Samples.subarray(i, i + blockSize);
-      const mp3buf = mp3Encoder.encodeBuffer(chunk);
+    for (let i = 0; i < int16Channels[0].length; i += blockSize) {
+      const chunks = int16Channels.map(samples => samples.subarray(i, i + blockSize));
+      const mp3buf = mp3Encoder.encodeBuffer(...chunks);
       if (mp3buf.length > 0) mp3Data.push(mp3buf);
     }
 
     const end = mp3Encoder.flush();
     if (end.length > 0) mp3Data.push(end);
 
-    const blob = new Blob(mp3Data, { type: 'audio/mp3' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'wavesmith_export.mp3';
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    return new Blob(mp3Data, { type: 'audio/mp3' });
   }
 }
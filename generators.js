@@ -0,0 +1,121 @@
+// generators.js
+// Parametric waveform shapes rendered as editable points.
+// Pure functions — no DOM, no audio.
+// -----------------------------------------------------------
+
+import { CONFIG } from './config.js';
+
+export const WAVEFORM_SHAPES = ['sine', 'square', 'saw', 'triangle', 'noise', 'pulse'];
+
+// Shapes that are straight lines between corners get exact corner points;
+// the others are sampled every `step` seconds.
+const SAMPLED_SHAPES = new Set(['sine', 'noise']);
+
+/**
+ * Value of a shape at `phase` (in cycles), in -1..1.
+ * All periodic shapes start at a rising zero crossing, like a sine.
+ */
+export function shapeValue(shape, phase, pulseWidth = 0.5) {
+  const u = phase - Math.floor(phase);
+  switch (shape) {
+    case 'sine':
+      return Math.sin(2 * Math.PI * u);
+    case 'square':
+      return u < 0.5 ? 1 : -1;
+    case 'pulse':
+      return u < pulseWidth ? 1 : -1;
+    case 'saw':
+      return u < 0.5 ? 2 * u : 2 * u - 2;
+    case 'triangle':
+      if (u < 0.25) return 4 * u;
+      if (u < 0.75) return 2 - 4 * u;
+      return 4 * u - 4;
+    case 'noise':
+      return Math.random() * 2 - 1;
+    default:
+      throw new Error(`Unknown shape "${shape}"`);
+  }
+}
+
+// Corners within one cycle as { phase, before, after }; a jump has before !== after
+function cornersOf(shape, pulseWidth) {
+  switch (shape) {
+    case 'square':
+      return [{ phase: 0, before: -1, after: 1 }, { phase: 0.5, before: 1, after: -1 }];
+    case 'pulse':
+      return [{ phase: 0, before: -1, after: 1 }, { phase: pulseWidth, before: 1, after: -1 }];
+    case 'saw':
+      return [{ phase: 0.5, before: 1, after: -1 }];
+    case 'triangle':
+      return [{ phase: 0.25, before: 1, after: 1 }, { phase: 0.75, before: -1, after: -1 }];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Build the points for a shape between `start` and `end` seconds.
+ * Options: shape, frequency (Hz), phase (cycles), amplitude, offset (DC),
+ * pulseWidth (0..1), step (seconds between samples for sine and noise).
+ * Values are clipped to the editor's -1..1 range.
+ */
+export function generatePoints({
+  shape,
+  start,
+  end,
+  frequency,
+  phase = 0,
+  amplitude = 1,
+  offset = 0,
+  pulseWidth = 0.5,
+  step = 0.001
+}) {
+  if (!WAVEFORM_SHAPES.includes(shape)) throw new Error(`Unknown shape "${shape}"`);
+  if (!(end > start)) throw new Error('The time range is empty');
+  if (!(frequency > 0)) throw new Error('Frequency must be greater than zero');
+  const width = Math.max(0.01, Math.min(0.99, pulseWidth));
+
+  const level = v => Math.max(-1, Math.min(1, offset + amplitude * v));
+  const phaseAt = t => (t - start) * frequency + phase;
+  const points = [];
+  const push = (time, value, interpolation) => {
+    const p = { time, amplitude: level(value) };
+    if (interpolation) p.interpolation = interpolation;
+    points.push(p);
+  };
+
+  if (SAMPLED_SHAPES.has(shape)) {
+    if (!(step > 0)) throw new Error('Sample step must be greater than zero');
+    const count = Math.floor((end - start) / step);
+    if (count > CONFIG.MAX_GENERATED_POINTS) {
+      throw new Error(`That would create ${count} points (limit ${CONFIG.MAX_GENERATED_POINTS}); use a larger step`);
+    }
+    for (let i = 0; i <= count; i++) {
+      const t = start + i * step;
+      push(t, shapeValue(shape, phaseAt(t), width));
+    }
+    if (start + count * step < end) push(end, shapeValue(shape, phaseAt(end), width));
+    return points;
+  }
+
+  // Exact corners, joined by straight segments whatever the document default is
+  const corners = cornersOf(shape, width);
+  const estimate = Math.ceil((end - start) * frequency) * corners.length * 2;
+  if (estimate > CONFIG.MAX_GENERATED_POINTS) {
+    throw new Error(`That would create about ${estimate} points (limit ${CONFIG.MAX_GENERATED_POINTS}); lower the frequency`);
+  }
+
+  push(start, shapeValue(shape, phaseAt(start), width), 'linear');
+  for (let n = Math.floor(phaseAt(start)); n <= Math.ceil(phaseAt(end)); n++) {
+    corners.forEach(c => {
+      const t = start + (n + c.phase - phase) / frequency;
+      if (t <= start || t >= end) return;
+      push(t, c.before, 'linear');
+      if (c.after !== c.before) push(t, c.after, 'linear');
+    });
+  }
+  // The end point takes the value just before `end`, so a jump landing on it is not ramped into
+  push(end, shapeValue(shape, phaseAt(end) - 1e-9, width), 'linear');
+
+  return points.sort((a, b) => a.time - b.time);
+}
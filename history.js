@@ -0,0 +1,211 @@
+// history.js
+// -----------------------------------------------------------
+// Undo history as a list of named, invertible commands. A command records
+// only what it changed (the points it added or removed, the before/after of
+// the properties it edited), so memory grows with the size of each edit,
+// not with the size of the document.
+// -----------------------------------------------------------
+// Commands have { label, redo(), undo() } and optionally mergeKey: a command
+// pushed with the same mergeKey as the newest one is folded into it, which is
+// how a drag made of many mouse moves becomes one step.
+
+export class History {
+  constructor(limit = 50) {
+    this.entries = [];
+    this.index = 0;      // number of entries currently applied
+    this.limit = limit;
+    this.version = 0;    // bumped on every change, for views that mirror the list
+  }
+
+  // Record a command that has just been applied
+  push(command) {
+    this.entries.length = this.index;
+    const last = this.entries[this.entries.length - 1];
+    if (last && command.mergeKey && last.mergeKey === command.mergeKey && last.merge(command)) {
+      this.version++;
+      return;
+    }
+    this.entries.push(command);
+    if (this.entries.length > this.limit) this.entries.shift();
+    this.index = this.entries.length;
+    this.version++;
+  }
+
+  canUndo() {
+    return this.index > 0;
+  }
+
+  canRedo() {
+    return this.index < this.entries.length;
+  }
+
+  undo() {
+    if (!this.canUndo()) return false;
+    this.index--;
+    this.entries[this.index].undo();
+    this.version++;
+    return true;
+  }
+
+  redo() {
+    if (!this.canRedo()) return false;
+    this.entries[this.index].redo();
+    this.index++;
+    this.version++;
+    return true;
+  }
+
+  // Step back or forward until `index` entries are applied (0 is the oldest state kept)
+  jumpTo(index) {
+    const target = Math.max(0, Math.min(this.entries.length, index));
+    while (this.index > target) this.undo();
+    while (this.index < target) this.redo();
+  }
+
+  clear() {
+    this.entries = [];
+    this.index = 0;
+    this.version++;
+  }
+}
+
+// The editable properties of a point; absent ones are recorded as undefined
+export function pointState(p) {
+  return {
+    time: p.time,
+    amplitude: p.amplitude,
+    interpolation: p.interpolation,
+    handleIn: p.handleIn,
+    handleOut: p.handleOut
+  };
+}
+
+function applyPointState(p, state) {
+  Object.entries(state).forEach(([key, value]) => {
+    if (value === undefined) delete p[key];
+    else p[key] = value;
+  });
+}
+
+/**
+ * Points added to and removed from one channel (add, delete, paste, generate,
+ * pencil strokes). The point objects themselves are kept, so selections
+ * survive undo and redo.
+ */
+export class PointsCommand {
+  constructor(model, label, channel, removed, added, mergeKey = null) {
+    this.model = model;
+    this.label = label;
+    this.channel = channel;
+    this.removed = removed;
+    this.added = added;
+    this.mergeKey = mergeKey;
+  }
+
+  apply(remove, add) {
+    const channel = this.channel;
+    if (remove.length > 0) {
+      const gone = new Set(remove);
+      channel.points = channel.points.filter(p => !gone.has(p));
+    }
+    if (add.length > 0) {
+      channel.points.push(...add);
+      channel.points.sort((a, b) => a.time - b.time);
+    }
+    this.model.touchPoints([...remove, ...add], channel);
+    const index = this.model.channels.indexOf(channel);
+    if (remove.length > 0) this.model.notify('points-removed', { channel: index, points: remove });
+    if (add.length > 0) this.model.notify('points-added', { channel: index, points: add });
+  }
+
+  redo() {
+    this.apply(this.removed, this.added);
+  }
+
+  undo() {
+    this.apply(this.added, this.removed);
+  }
+
+  // A point added here and removed by `next` was never there as far as undo is concerned
+  merge(next) {
+    if (next.channel !== this.channel) return false;
+    const added = new Set(this.added);
+    const cancelled = new Set(next.removed.filter(p => added.has(p)));
+    this.removed = [...this.removed, ...next.removed.filter(p => !cancelled.has(p))];
+    this.added = [...this.added.filter(p => !cancelled.has(p)), ...next.added];
+    return true;
+  }
+}
+
+/**
+ * Property edits of existing points (move, interpolation, handles), as
+ * { point, before, after } states. Merging keeps the first `before` and the
+ * latest `after` of every point.
+ */
+export class PointPropsCommand {
+  constructor(model, label, channel, changes, mergeKey = null) {
+    this.model = model;
+    this.label = label;
+    this.channel = channel;
+    this.changes = changes;
+    this.mergeKey = mergeKey;
+  }
+
+  apply(which) {
+    this.changes.forEach(change => applyPointState(change.point, change[which]));
+    this.channel.points.sort((a, b) => a.time - b.time);
+    this.model.touchPoints(this.changes.flatMap(c => [c.before, c.after]), this.channel);
+    this.model.notify('points-moved', { channel: this.model.channels.indexOf(this.channel), points: this.changes.map(c => c.point) });
+  }
+
+  redo() {
+    this.apply('after');
+  }
+
+  undo() {
+    this.apply('before');
+  }
+
+  merge(next) {
+    if (next.channel !== this.channel) return false;
+    const byPoint = new Map(this.changes.map(c => [c.point, c]));
+    next.changes.forEach(c => {
+      const existing = byPoint.get(c.point);
+      if (existing) {
+        existing.after = c.after;
+      } else {
+        this.changes.push(c);
+        byPoint.set(c.point, c);
+      }
+    });
+    return true;
+  }
+}
+
+/**
+ * Whole-list swaps for the small, structural parts of the document: the
+ * effects rack, markers and regions, or the channel list (which holds its
+ * point arrays by reference). Merging keeps the first `before` and the latest `after`.
+ */
+export class SwapCommand {
+  constructor(label, apply, before, after, mergeKey = null) {
+    this.label = label;
+    this.applyState = apply;
+    this.before = before;
+    this.after = after;
+    this.mergeKey = mergeKey;
+  }
+
+  merge(next) {
+    this.after = next.after;
+    return true;
+  }
+
+  redo() {
+    this.applyState(this.after);
+  }
+
+  undo() {
+    this.applyState(this.before);
+  }
+}
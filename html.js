@@ -0,0 +1,7 @@
+// html.js
+// Helpers for the panels that build their markup as template strings.
+
+// Text safe to put in element content and double-quoted attributes
+export function escapeHtml(text) {
+  return String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+}
@@ -0,0 +1,271 @@
+// inspector.js
+// Numeric view of the selection: exact time and amplitude for one point; for
+// several, the count, time span and amplitude range, with exact, offset and
+// scale edits; then the transforms, which act on the whole channel when
+// nothing is selected. Every edit goes through the DataModel as one undo step.
+
+const REFRESH_EVENTS = ['selection-changed', 'points-added', 'points-moved', 'points-removed', 'channels-changed', 'document-loaded', 'history-changed'];
+
+// Transform buttons; each returns false when the DataModel refuses the edit
+const TRANSFORM_ACTIONS = {
+  reverse: model => model.reverseSelection(),
+  invert: model => model.invertSelection(),
+  'remove-dc': model => model.removeDCOffset(),
+  normalize: (model, o) => model.normalizeSelection(o.normalizeTarget, o.normalizeMode),
+  stretch: (model, o) => model.stretchSelection(o.stretchFactor, o.stretchAnchor),
+  'scale-amplitude': (model, o) => model.scaleSelectionAmplitude(o.scaleFactor, o.scaleAnchor),
+  mirror: (model, o) => model.mirrorSelection({ invert: o.mirrorInvert })
+};
+
+// Finds the same field again after a re-render: selection fields by name, transform settings by option
+function fieldSelector(field) {
+  if (field.name) return `[name="${field.name}"]`;
+  if (field.dataset.option) return `[data-option="${field.dataset.option}"]`;
+  return null;
+}
+
+function formatTime(t) {
+  return t.toFixed(6);
+}
+
+function formatAmplitude(a) {
+  return a.toFixed(4);
+}
+
+export class Inspector {
+  constructor(dataModel, container, { visible = true } = {}) {
+    this.dataModel = dataModel;
+    this.container = container;
+    this.visible = visible;
+    this.stale = false;  // something changed while the panel was hidden
+    this.typing = null;  // the field holding input not yet committed
+    // Transform settings outlive the re-render that follows each edit
+    this.transformOptions = {
+      normalizeTarget: 1,
+      normalizeMode: 'peak',
+      stretchFactor: 1,
+      stretchAnchor: 'start',
+      scaleFactor: 1,
+      scaleAnchor: 0,
+      mirrorInvert: false
+    };
+    this.notice = null;
+
+    REFRESH_EVENTS.forEach(type => dataModel.on(type, () => this.render()));
+    this.container.addEventListener('input', e => {
+      this.typing = e.target;
+    });
+    this.container.addEventListener('change', e => {
+      this.typing = null;
+      this.onFieldChange(e);
+    });
+    this.container.addEventListener('click', e => {
+      const button = e.target.closest('button[data-action]');
+      if (button) this.onAction(button.dataset.action);
+    });
+    this.render();
+  }
+
+  // Summary of the targets: { count, start, end, min, max }
+  summarize(targets) {
+    let start = Infinity;
+    let end = -Infinity;
+    let min = Infinity;
+    let max = -Infinity;
+    targets.forEach(p => {
+      start = Math.min(start, p.time);
+      end = Math.max(end, p.time);
+      min = Math.min(min, p.amplitude);
+      max = Math.max(max, p.amplitude);
+    });
+    return { count: targets.length, start, end, min, max };
+  }
+
+  // Shown or hidden by its sidebar; a hidden panel catches up when it opens
+  setVisible(visible) {
+    this.visible = visible;
+    if (visible && this.stale) this.render();
+  }
+
+  /**
+   * Rebuild the panel, skipped while it is hidden. The field that has focus
+   * is carried over into the new markup, so updates during a drag never take
+   * focus away; it only keeps its own value while the user is typing in it.
+   */
+  render() {
+    if (!this.visible) {
+      this.stale = true;
+      return;
+    }
+    this.stale = false;
+    const active = document.activeElement;
+    const focused = active && this.container.contains(active) ? active : null;
+    const key = focused && fieldSelector(focused);
+    this.container.innerHTML = this.renderSelection(this.dataModel.selectionTargets()) + this.renderTransforms();
+    this.notice = null;
+    const slot = key && this.container.querySelector(key);
+    if (!slot) return;
+    if (focused !== this.typing) {
+      if (focused.type === 'checkbox') focused.checked = slot.checked;
+      else focused.value = slot.value;
+    }
+    slot.replaceWith(focused);
+    focused.focus();
+  }
+
+  renderSelection(targets) {
+    if (targets.length === 0) {
+      return '<p class="modal-note">Nothing selected. Click a point, or Ctrl/Cmd+drag to select several.</p>';
+    }
+
+    if (targets.length === 1) {
+      const [p] = targets;
+      return `
+        <label class="modal-field">Time (s)
+          <input name="time" type="number" step="any" min="0" value="${formatTime(p.time)}">
+        </label>
+        <label class="modal-field">Amplitude
+          <input name="amplitude" type="number" step="any" min="-1" max="1" value="${formatAmplitude(p.amplitude)}">
+        </label>
+      `;
+    }
+
+    const { count, start, end, min, max } = this.summarize(targets);
+    return `
+      <p class="inspector-summary">${count} points<br>
+        Time ${formatTime(start)} – ${formatTime(end)} s<br>
+        Amplitude ${formatAmplitude(min)} – ${formatAmplitude(max)}</p>
+      <h4 class="inspector-heading">Set</h4>
+      <label class="modal-field">Start at (s)
+        <input name="start" type="number" step="any" min="0" value="${formatTime(start)}">
+      </label>
+      <label class="modal-field">All amplitudes
+        <input name="amplitude" type="number" step="any" min="-1" max="1" placeholder="mixed">
+      </label>
+      <h4 class="inspector-heading">Offset</h4>
+      <label class="modal-field">Time (s) <input name="offsetTime" type="number" step="any" value="0"></label>
+      <label class="modal-field">Amplitude <input name="offsetAmplitude" type="number" step="any" value="0"></label>
+      <button class="export-option" data-action="offset">Apply offset</button>
+      <h4 class="inspector-heading">Scale</h4>
+      <label class="modal-field">Time (from start) <input name="scaleTime" type="number" step="any" min="0" value="1"></label>
+      <label class="modal-field">Amplitude <input name="scaleAmplitude" type="number" step="any" value="1"></label>
+      <button class="export-option" data-action="scale">Apply scale</button>
+    `;
+  }
+
+  renderTransforms() {
+    const count = this.dataModel.transformTargets().length;
+    if (count === 0) return '';
+    const o = this.transformOptions;
+    const selected = this.dataModel.selectionTargets().length > 0;
+    const option = (value, label, current) => `<option value="${value}" ${value === current ? 'selected' : ''}>${label}</option>`;
+    return `
+      <h4 class="inspector-heading">Transform ${selected ? 'selection' : `channel (${count} points)`}</h4>
+      ${this.notice ? `<p class="modal-note">${this.notice}</p>` : ''}
+      <button class="export-option" data-action="reverse">Reverse</button>
+      <button class="export-option" data-action="invert">Invert polarity</button>
+      <button class="export-option" data-action="remove-dc">Remove DC offset</button>
+      <label class="modal-field">Normalize to
+        <input data-option="normalizeTarget" type="number" step="any" min="0" max="1" value="${o.normalizeTarget}">
+        <select data-option="normalizeMode">
+          ${option('peak', 'Peak', o.normalizeMode)}
+          ${option('rms', 'RMS', o.normalizeMode)}
+        </select>
+      </label>
+      <button class="export-option" data-action="normalize">Normalize</button>
+      <label class="modal-field">Stretch time &times;
+        <input data-option="stretchFactor" type="number" step="any" min="0" value="${o.stretchFactor}">
+        <select data-option="stretchAnchor">
+          ${option('start', 'from start', o.stretchAnchor)}
+          ${option('center', 'from center', o.stretchAnchor)}
+          ${option('end', 'from end', o.stretchAnchor)}
+          ${option('cursor', 'from cursor', o.stretchAnchor)}
+        </select>
+      </label>
+      <button class="export-option" data-action="stretch">Stretch</button>
+      <label class="modal-field">Scale amplitude &times;
+        <input data-option="scaleFactor" type="number" step="any" value="${o.scaleFactor}">
+      </label>
+      <label class="modal-field">around
+        <input data-option="scaleAnchor" type="number" step="any" min="-1" max="1" value="${o.scaleAnchor}">
+      </label>
+      <button class="export-option" data-action="scale-amplitude">Scale amplitude</button>
+      <label class="modal-field">
+        <input data-option="mirrorInvert" type="checkbox" ${o.mirrorInvert ? 'checked' : ''}> Flip the mirrored half
+      </label>
+      <button class="export-option" data-action="mirror">Mirror after the last point</button>
+    `;
+  }
+
+  // Put the cursor in a transform setting, ready to type over
+  focusOption(option) {
+    const field = this.container.querySelector(`[data-option="${option}"]`);
+    if (!field) return;
+    field.focus();
+    field.select();
+  }
+
+  number(name) {
+    const value = parseFloat(this.container.querySelector(`[name="${name}"]`).value);
+    return Number.isFinite(value) ? value : null;
+  }
+
+  // Exact values apply as soon as a field is committed
+  onFieldChange(e) {
+    const option = e.target.dataset.option;
+    if (option) {
+      const o = this.transformOptions;
+      if (e.target.type === 'checkbox') o[option] = e.target.checked;
+      else if (e.target.tagName === 'SELECT') o[option] = e.target.value;
+      else {
+        const value = parseFloat(e.target.value);
+        if (Number.isFinite(value) && (option !== 'stretchFactor' || value > 0)) o[option] = value;
+      }
+      return;
+    }
+
+    const targets = this.dataModel.selectionTargets();
+    const value = this.number(e.target.name);
+    if (value === null) {
+      this.render();
+      return;
+    }
+    if (targets.length === 1 && (e.target.name === 'time' || e.target.name === 'amplitude')) {
+      this.dataModel.setPointValues(targets, { [e.target.name]: value });
+    } else if (e.target.name === 'start') {
+      // The whole span stays inside the document
+      const { start, end } = this.summarize(targets);
+      const latest = this.dataModel.duration - (end - start);
+      this.dataModel.movePoints(targets, Math.max(0, Math.min(latest, value)) - start, 0);
+    } else if (e.target.name === 'amplitude') {
+      this.dataModel.setPointValues(targets, { amplitude: value });
+    }
+  }
+
+  // Offsets, scales and transforms wait for their button, since they take several fields
+  onAction(action) {
+    const targets = this.dataModel.selectionTargets();
+    if (action in TRANSFORM_ACTIONS) {
+      if (!TRANSFORM_ACTIONS[action](this.dataModel, this.transformOptions)) {
+        this.notice = 'Not applied: the result would leave the 0 to duration time range.';
+        this.render();
+      }
+    } else if (action === 'offset') {
+      const dt = this.number('offsetTime');
+      const da = this.number('offsetAmplitude');
+      if (dt === null || da === null || (dt === 0 && da === 0)) return;
+      const { start, end, min, max } = this.summarize(targets);
+      // Nothing is pushed outside 0..duration or out of the amplitude range
+      const clampedDt = Math.max(-start, Math.min(this.dataModel.duration - end, dt));
+      this.dataModel.movePoints(targets, clampedDt, Math.max(-1 - min, Math.min(1 - max, da)));
+    } else if (action === 'scale') {
+      const timeFactor = this.number('scaleTime');
+      const amplitudeFactor = this.number('scaleAmplitude');
+      if (timeFactor === null || amplitudeFactor === null || timeFactor < 0) return;
+      // A stretch stops where the last point reaches the end of the document
+      const { start, end } = this.summarize(targets);
+      const longest = end > start ? (this.dataModel.duration - start) / (end - start) : Infinity;
+      this.dataModel.scalePoints(targets, Math.min(longest, timeFactor), amplitudeFactor, start);
+    }
+  }
+}
@@ -0,0 +1,141 @@
+// instrument.js
+// Plays the document as a polyphonic instrument through AudioEngine's output.
+// Cycle documents loop one period at the note's pitch; one-shot documents are
+// pitch-shifted, playing at their own speed on the root note.
+
+import { CONFIG } from './config.js';
+import { renderLoopEffects } from './effects.js';
+
+const STEAL_FADE = 0.005; // seconds; a stolen voice fades this fast to avoid a click
+
+// Frequency of a MIDI note number (69 is A4 = 440 Hz)
+export function noteFrequency(note) {
+  return 440 * Math.pow(2, (note - 69) / 12);
+}
+
+export class Instrument {
+  constructor(audioEngine) {
+    this.audioEngine = audioEngine;
+    this.envelope = {
+      attack: CONFIG.INSTRUMENT_ATTACK,
+      decay: CONFIG.INSTRUMENT_DECAY,
+      sustain: CONFIG.INSTRUMENT_SUSTAIN,
+      release: CONFIG.INSTRUMENT_RELEASE
+    };
+    this.maxVoices = CONFIG.INSTRUMENT_VOICES;
+    this.rootNote = CONFIG.INSTRUMENT_ROOT_NOTE;
+    this.voices = [];        // sounding voices, oldest first: { note, source, gain, released }
+    this.held = new Set();   // notes whose key is down
+    this.table = null;       // { key, buffer } single-cycle table for cycle documents
+    this.onVoicesChange = null;
+  }
+
+  get context() {
+    return this.audioEngine.audioContext;
+  }
+
+  // What the voices play: a one-period table (cycle) or the rendered document (one-shot)
+  async bufferFor(doc) {
+    if (doc.mode !== 'cycle') return this.audioEngine.renderSource(doc);
+
+    const key = [doc.revision, (doc.audible || []).join(','), doc.interpolation, doc.duration, JSON.stringify(doc.effects || [])].join('|');
+    if (!this.table || this.table.key !== key) {
+      const table = this.audioEngine.generateCycle(doc.channels, doc.duration, CONFIG.CYCLE_TABLE_SIZE, 1, doc);
+      this.table = { key, buffer: await renderLoopEffects(table, doc.effects || []) };
+    }
+    return this.table.buffer;
+  }
+
+  async noteOn(note, velocity = 1) {
+    if (this.held.has(note)) return;
+    this.held.add(note);
+    if (this.context.state === 'suspended') this.context.resume();
+
+    const doc = this.audioEngine.source();
+    const buffer = await this.bufferFor(doc);
+    // The key may have been let go while the buffer rendered
+    if (!this.held.has(note)) return;
+
+    this.voices.filter(v => v.note === note && !v.released).forEach(v => this.release(v));
+    while (this.voices.length >= this.maxVoices) this.steal();
+
+    const now = this.context.currentTime;
+    const source = this.context.createBufferSource();
+    source.buffer = buffer;
+    if (doc.mode === 'cycle') {
+      source.loop = true;
+      source.playbackRate.value = (noteFrequency(note) * buffer.length) / buffer.sampleRate;
+    } else {
+      source.playbackRate.value = Math.pow(2, (note - this.rootNote) / 12);
+    }
+
+    const { attack, decay, sustain } = this.envelope;
+    const peak = velocity * CONFIG.INSTRUMENT_GAIN;
+    const gain = this.context.createGain();
+    gain.gain.setValueAtTime(0, now);
+    gain.gain.linearRampToValueAtTime(peak, now + attack);
+    gain.gain.linearRampToValueAtTime(peak * sustain, now + attack + decay);
+    source.connect(gain);
+    gain.connect(this.audioEngine.gainNode);
+
+    const voice = { note, source, gain, released: false };
+    // A one-shot voice ends with its buffer
+    source.onended = () => this.remove(voice);
+    source.start(now);
+    this.voices.push(voice);
+    this.notifyVoices();
+  }
+
+  noteOff(note) {
+    this.held.delete(note);
+    this.voices.filter(v => v.note === note && !v.released).forEach(v => this.release(v));
+    this.notifyVoices();
+  }
+
+  allNotesOff() {
+    this.held.clear();
+    this.voices.filter(v => !v.released).forEach(v => this.release(v));
+    this.notifyVoices();
+  }
+
+  // Release phase: from wherever the envelope is now down to silence
+  release(voice, time = this.envelope.release) {
+    const now = this.context.currentTime;
+    const param = voice.gain.gain;
+    if (param.cancelAndHoldAtTime) {
+      param.cancelAndHoldAtTime(now);
+    } else {
+      const value = param.value;
+      param.cancelScheduledValues(now);
+      param.setValueAtTime(value, now);
+    }
+    param.linearRampToValueAtTime(0, now + time);
+    voice.released = true;
+    try {
+      voice.source.stop(now + time + 0.01);
+    } catch (error) {
+      // Already stopped
+    }
+  }
+
+  // Make room for a new voice: the oldest released voice, or else the oldest voice
+  steal() {
+    const voice = this.voices.find(v => v.released) || this.voices[0];
+    this.release(voice, STEAL_FADE);
+    this.remove(voice);
+  }
+
+  remove(voice) {
+    const index = this.voices.indexOf(voice);
+    if (index === -1) return;
+    this.voices.splice(index, 1);
+    voice.source.onended = null;
+    // Disconnect after the fade so a stolen voice still ramps out
+    setTimeout(() => voice.gain.disconnect(), (STEAL_FADE + 0.05) * 1000);
+    this.notifyVoices();
+  }
+
+  notifyVoices() {
+    if (this.onVoicesChange) this.onVoicesChange(this);
+  }
+}
@@ -1,6 +1,17 @@
 import { CONFIG } from './config.js';
 
+// What a plain drag on the canvas does: move points (or pan), draw, or erase
+export const TOOLS = ['select', 'pencil', 'eraser'];
+const TOOL_CURSORS = { select: '', pencil: 'crosshair', eraser: 'cell' };
+
+/**
+ * Mouse, touch and pen input on the canvas, through Pointer Events. One
+ * pointer edits (drag, draw, box-select after Ctrl/Cmd or a long press); two
+ * touches pinch-zoom and pan.
+ */
 export class InteractionHandler {
+  // Document edits announce themselves through the DataModel's events;
+  // onStateChange redraws for state only this handler knows (the selection box)
   constructor(canvas, dataModel, renderer, onStateChange) {
     this.canvas = canvas;
     this.dataModel = dataModel;
@@ -9,21 +20,38 @@ export class InteractionHandler {
 
     this.isDragging = false;
     this.draggingPoint = null;
+    this.draggingHandle = null;
+    this.rulerDrag = null;
+    this.dragCount = 0;  // each drag's edits merge into one history step under its own key
+    this.dragOrigin = null; // { time, amplitude, x, y } of the dragged point and the mouse at the start
     this.lastX = 0;
     this.lastY = 0;
     this.mouseDownTime = 0;
     this.isCommandKey = false;
     this.selectionBox = null;
     this.selectionStart = { x: 0, y: 0 };
-
-    this.setupMouseEvents();
+    this.touches = new Map(); // pointerId -> { x, y } of the touches on the canvas
+    this.pinch = null;        // { distance, time, zoom } when two touches went down
+    this.longPress = null;    // { timer, x, y } while a touch waits to become a box selection
+    this.tool = 'select';
+    this.onToolChange = null;
+    this.pencil = { smoothing: CONFIG.PENCIL_SMOOTHING, spacing: CONFIG.PENCIL_SPACING };
+    this.stroke = null; // pencil or eraser drag in progress: { samples, last, start, end }
+
+    this.setupPointerEvents();
     this.setupKeyboardEvents();
   }
 
-  setupMouseEvents() {
-    this.canvas.addEventListener('mousedown', e => this.onMouseDown(e));
-    window.addEventListener('mouseup', e => this.onMouseUp(e));
-    window.addEventListener('mousemove', e => this.onMouseMove(e));
+  // Capturing the pointer keeps moves and the release on the canvas, so
+  // offsetX/offsetY stay canvas coordinates even outside it
+  setupPointerEvents() {
+    this.canvas.addEventListener('pointerdown', e => {
+      this.canvas.setPointerCapture(e.pointerId);
+      this.onPointerDown(e);
+    });
+    this.canvas.addEventListener('pointermove', e => this.onPointerMove(e));
+    this.canvas.addEventListener('pointerup', e => this.onPointerUp(e));
+    this.canvas.addEventListener('pointercancel', e => this.onPointerUp(e, true));
     this.canvas.addEventListener('wheel', e => this.onWheel(e));
   }
 
@@ -32,11 +60,78 @@ export class InteractionHandler {
     window.addEventListener('keyup', e => this.onKeyUp(e));
   }
 
-  onMouseDown(e) {
+  // Fingers get a larger hit radius than a mouse or pen
+  hitRadius(e) {
+    return CONFIG.POINT_HIT_RADIUS * (e.pointerType === 'touch' ? CONFIG.TOUCH_HIT_SCALE : 1);
+  }
+
+  onPointerDown(e) {
+    if (e.pointerType === 'touch') {
+      this.touches.set(e.pointerId, { x: e.offsetX, y: e.offsetY });
+      if (this.touches.size === 2) {
+        this.beginPinch();
+        return;
+      }
+      if (this.touches.size > 2 || this.pinch) return;
+    } else if (!e.isPrimary) {
+      return;
+    }
+
     this.mouseDownTime = performance.now();
+    this.renderer.syncView(this.dataModel);
+
+    // Lane header toggles
+    const badge = this.renderer.pickLaneBadgeAt(e.offsetX, e.offsetY);
+    if (badge) {
+      if (badge.action === 'mute') this.dataModel.toggleMute(badge.lane);
+      else this.dataModel.toggleSolo(badge.lane);
+      this.onStateChange();
+      return;
+    }
+
+    // The ruler strip sets the play cursor; Shift+drag there marks a loop region.
+    // Marker flags, region edges and region labels in it drag those instead.
+    if (!this.isCommandKey && e.offsetY < CONFIG.RULER_HEIGHT) {
+      const t = this.rulerTime(e.offsetX);
+      const flag = e.shiftKey ? null : this.renderer.pickCueAt(this.dataModel, e.offsetX, e.offsetY);
+      this.rulerDrag = { anchor: t, loop: e.shiftKey, cue: flag && { ...flag, ...this.dataModel.findCue(flag.id) } };
+      if (flag) this.dragCount++;
+      else if (!e.shiftKey) this.dataModel.setCursor(t);
+      this.isDragging = true;
+      this.onStateChange();
+      return;
+    }
+
+    // Clicking another lane makes its channel the one being edited
+    const lane = this.renderer.laneAt(e.offsetY);
+    if (lane !== this.dataModel.activeChannel) {
+      this.dataModel.setActiveChannel(lane);
+      this.renderer.syncView(this.dataModel);
+    }
+
+    // Pencil and eraser take over plain drags; Ctrl/Cmd still box-selects
+    if (this.tool !== 'select' && !this.isCommandKey) {
+      this.beginStroke(e);
+      this.isDragging = true;
+      this.onStateChange();
+      return;
+    }
 
+    // Bezier handles sit on top of the points, so they win the hit test
     if (!this.isCommandKey) {
-      const clickedPoint = this.renderer.pickPointAt(this.dataModel, e.offsetX, e.offsetY, CONFIG.POINT_HIT_RADIUS);
+      this.draggingHandle = this.renderer.pickHandleAt(this.dataModel, e.offsetX, e.offsetY, this.hitRadius(e));
+      if (this.draggingHandle) {
+        this.dragCount++;
+        this.isDragging = true;
+        this.lastX = e.offsetX;
+        this.lastY = e.offsetY;
+        this.onStateChange();
+        return;
+      }
+    }
+
+    if (!this.isCommandKey) {
+      const clickedPoint = this.renderer.pickPointAt(this.dataModel, e.offsetX, e.offsetY, this.hitRadius(e));
       if (!clickedPoint) {
         this.dataModel.clearSelection();
       } else if (!this.dataModel.selectedPoints.has(clickedPoint)) {
@@ -45,12 +140,17 @@ export class InteractionHandler {
     }
 
     if (this.isCommandKey) {
-      this.selectionStart = { x: e.offsetX, y: e.offsetY };
-      this.selectionBox = { x: e.offsetX, y: e.offsetY, width: 0, height: 0 };
+      this.beginSelectionBox(e.offsetX, e.offsetY);
     } else {
-      this.draggingPoint = this.renderer.pickPointAt(this.dataModel, e.offsetX, e.offsetY, CONFIG.POINT_HIT_RADIUS);
+      this.draggingPoint = this.renderer.pickPointAt(this.dataModel, e.offsetX, e.offsetY, this.hitRadius(e));
       if (this.draggingPoint) {
-        this.dataModel.saveState();
+        this.dragCount++;
+        const { time, amplitude } = this.draggingPoint;
+        this.dragOrigin = { time, amplitude, x: e.offsetX, y: e.offsetY };
+      } else if (e.pointerType === 'touch') {
+        // A finger held still on empty space starts a box selection instead of panning
+        const { offsetX: x, offsetY: y } = e;
+        this.longPress = { x, y, timer: setTimeout(() => this.beginSelectionBox(x, y), CONFIG.LONG_PRESS_MS) };
       }
     }
 
@@ -60,25 +160,111 @@ export class InteractionHandler {
     this.onStateChange();
   }
 
-  onMouseUp(e) {
+  beginSelectionBox(x, y) {
+    this.longPress = null;
+    this.selectionStart = { x, y };
+    this.selectionBox = { x, y, width: 0, height: 0 };
+    this.onStateChange();
+  }
+
+  cancelLongPress() {
+    if (!this.longPress) return;
+    clearTimeout(this.longPress.timer);
+    this.longPress = null;
+  }
+
+  // A cancelled pointer (the browser took over the gesture) ends the drag without a click
+  onPointerUp(e, cancelled = false) {
+    if (e.pointerType === 'touch') {
+      this.touches.delete(e.pointerId);
+      if (this.pinch) {
+        if (this.touches.size === 0) this.pinch = null;
+        return;
+      }
+    } else if (!e.isPrimary) {
+      return;
+    }
+    if (!this.isDragging) return;
+    this.cancelLongPress();
+
     const clickDuration = performance.now() - this.mouseDownTime;
 
-    if (clickDuration < 200 && !this.draggingPoint && !this.isCommandKey) {
-      const t = this.renderer.xToTime(this.dataModel, e.offsetX);
+    if (!cancelled && clickDuration < 200 && !this.draggingPoint && !this.draggingHandle && !this.rulerDrag && !this.stroke && !this.selectionBox) {
+      let t = this.renderer.xToTime(this.dataModel, e.offsetX);
       const a = this.renderer.yToAmplitude(e.offsetY);
-      this.dataModel.addPoint(t, a);
+      if (this.dataModel.mode === 'cycle') {
+        // Clicking a neighbouring tile edits the same period
+        const d = this.dataModel.duration;
+        t = ((t % d) + d) % d;
+      }
+      const snapped = this.snap(t, a, e);
+      this.dataModel.addPoint(Math.max(0, snapped.time), snapped.amplitude);
     }
 
+    this.endDrag();
+  }
+
+  endDrag() {
+    this.cancelLongPress();
     this.selectionBox = null;
     this.isDragging = false;
     this.draggingPoint = null;
+    this.dragOrigin = null;
+    this.draggingHandle = null;
+    this.rulerDrag = null;
+    this.stroke = null;
     this.onStateChange();
   }
 
-  onMouseMove(e) {
+  setTool(tool) {
+    if (!TOOLS.includes(tool)) throw new Error(`Unknown tool "${tool}"`);
+    this.tool = tool;
+    this.canvas.style.cursor = TOOL_CURSORS[tool];
+    if (this.onToolChange) this.onToolChange(tool);
+  }
+
+  // Snap to the model's settings; holding Alt places freely
+  snap(time, amplitude, e) {
+    return e.altKey ? { time, amplitude } : this.dataModel.snapPosition(time, amplitude);
+  }
+
+  // Two touches: the pinch scales the zoom, and the time first under their
+  // midpoint follows it (which is also the two-finger pan)
+  beginPinch() {
+    this.endDrag();
+    const [a, b] = Array.from(this.touches.values());
+    this.pinch = {
+      distance: Math.max(1, Math.hypot(a.x - b.x, a.y - b.y)),
+      time: this.renderer.xToTime(this.dataModel, (a.x + b.x) / 2),
+      zoom: this.dataModel.zoom
+    };
+  }
+
+  movePinch() {
+    const [a, b] = Array.from(this.touches.values());
+    const distance = Math.max(1, Math.hypot(a.x - b.x, a.y - b.y));
+    const zoom = Math.max(CONFIG.ZOOM_MIN, Math.min(CONFIG.ZOOM_MAX, this.pinch.zoom * (distance / this.pinch.distance)));
+    this.dataModel.setView({ zoom, pan: this.zoomedPan(zoom, this.pinch.time, (a.x + b.x) / 2) });
+  }
+
+  onPointerMove(e) {
+    if (this.touches.has(e.pointerId)) {
+      this.touches.set(e.pointerId, { x: e.offsetX, y: e.offsetY });
+      if (this.pinch) {
+        if (this.touches.size === 2) this.movePinch();
+        return;
+      }
+    } else if (!e.isPrimary) {
+      return;
+    }
     if (!this.isDragging) return;
 
-    if (this.selectionBox && this.isCommandKey) {
+    // Moving before the long press fires means the finger is panning
+    if (this.longPress && Math.hypot(e.offsetX - this.longPress.x, e.offsetY - this.longPress.y) > CONFIG.TOUCH_SLOP) {
+      this.cancelLongPress();
+    }
+
+    if (this.selectionBox) {
       this.selectionBox.width = e.offsetX - this.selectionStart.x;
       this.selectionBox.height = e.offsetY - this.selectionStart.y;
 
@@ -87,156 +273,309 @@ export class InteractionHandler {
       const top = Math.min(this.selectionStart.y, e.offsetY);
       const bottom = Math.max(this.selectionStart.y, e.offsetY);
 
-      this.dataModel.points.forEach(p => {
+      const { points } = this.dataModel;
+      const { from, to } = this.renderer.indexRange(
+        points,
+        this.renderer.xToTime(this.dataModel, left),
+        this.renderer.xToTime(this.dataModel, right + 1)
+      );
+      const inside = [];
+      for (let i = from; i < to; i++) {
+        const p = points[i];
         const x = this.renderer.timeToX(this.dataModel, p.time);
         const y = this.renderer.amplitudeToY(p.amplitude);
-        if (x >= left && x <= right && y >= top && y <= bottom) {
-          this.dataModel.selectedPoints.add(p);
-        }
-      });
+        if (x >= left && x <= right && y >= top && y <= bottom) inside.push(p);
+      }
+      this.dataModel.addToSelection(inside);
+    } else if (this.stroke) {
+      this.continueStroke(e);
+    } else if (this.rulerDrag) {
+      this.dragRuler(e);
+    } else if (this.draggingHandle) {
+      this.dragHandle(e);
     } else if (this.draggingPoint) {
       this.dragPoints(e);
     } else {
       this.panCanvas(e);
     }
 
-    this.lastX = e.offsetX;
+    this.lastX = e.clientX;
     this.lastY = e.offsetY;
     this.onStateChange();
   }
 
+  // The dragged point follows the mouse from where the drag started (snapped);
+  // the rest of the selection moves by the same amount
   dragPoints(e) {
-    const currentTime = this.renderer.xToTime(this.dataModel, e.offsetX);
-    const previousTime = this.renderer.xToTime(this.dataModel, this.lastX);
-    const dx = currentTime - previousTime;
-
-    const currentAmp = this.renderer.yToAmplitude(e.offsetY);
-    const previousAmp = this.renderer.yToAmplitude(this.lastY);
-    const dy = currentAmp - previousAmp;
-
-    if (this.dataModel.selectedPoints.has(this.draggingPoint)) {
-      let canMove = true;
-      const selectedArray = Array.from(this.dataModel.selectedPoints);
-
-      for (const p of selectedArray) {
-        const newTime = p.time + dx;
-        const newAmp = p.amplitude + dy;
-
-        if (newTime < 0 || newTime > this.dataModel.duration || newAmp < -1 || newAmp > 1) {
-          canMove = false;
-          break;
-        }
-      }
+    const origin = this.dragOrigin;
+    const target = this.snap(
+      origin.time + this.renderer.xToTime(this.dataModel, e.offsetX) - this.renderer.xToTime(this.dataModel, origin.x),
+      // Vertical motion is measured on screen, so a dB view moves quiet points finely
+      this.renderer.yToAmplitude(this.renderer.amplitudeToY(origin.amplitude) + e.offsetY - origin.y),
+      e
+    );
+    const dx = target.time - this.draggingPoint.time;
+    const dy = target.amplitude - this.draggingPoint.amplitude;
+    if (dx === 0 && dy === 0) return;
+
+    // A selected point drags the whole selection, and only if every point stays in bounds
+    const moved = this.dataModel.selectedPoints.has(this.draggingPoint)
+      ? Array.from(this.dataModel.selectedPoints)
+      : [this.draggingPoint];
+    const canMove = moved.every(p => {
+      const newTime = p.time + dx;
+      const newAmp = p.amplitude + dy;
+      return newTime >= 0 && newTime <= this.dataModel.duration && newAmp >= -1 && newAmp <= 1;
+    });
+
+    if (canMove) {
+      this.dataModel.movePoints(moved, dx, dy, `drag${this.dragCount}`);
+    }
+  }
+
+  // A stroke replaces the time range it sweeps, live, as one history step
+  beginStroke(e) {
+    this.dragCount++;
+    this.stroke = { samples: [], last: null, start: Infinity, end: -Infinity };
+    this.continueStroke(e);
+  }
+
+  continueStroke(e) {
+    const stroke = this.stroke;
+    const sample = {
+      time: Math.max(0, Math.min(this.dataModel.duration, this.renderer.xToTime(this.dataModel, e.offsetX))),
+      amplitude: Math.max(-1, Math.min(1, this.renderer.yToAmplitude(e.offsetY))),
+      // Only pens report a real pressure; a mouse button reads as a steady 0.5
+      pressure: e.pointerType === 'pen' && e.pressure > 0 ? e.pressure : 0.5
+    };
+    const from = stroke.last ? stroke.last.time : sample.time;
+    const lo = Math.min(from, sample.time);
+    const hi = Math.max(from, sample.time);
+    const key = `drag${this.dragCount}`;
+
+    if (this.tool === 'eraser') {
+      const pad = this.pixelsToTime(this.hitRadius(e));
+      this.dataModel.sweepRange('Erase', lo - pad, hi + pad, [], key);
+      stroke.last = sample;
+      return;
+    }
+
+    // Going back over drawn times redraws them, so the stroke stays a function of time
+    stroke.samples = stroke.samples.filter(s => s === stroke.last || s.time < lo || s.time > hi);
+    stroke.samples.push(sample);
+    stroke.samples.sort((a, b) => a.time - b.time);
+    stroke.last = sample;
+    stroke.start = Math.min(stroke.start, lo);
+    stroke.end = Math.max(stroke.end, hi);
+    this.dataModel.sweepRange('Draw', stroke.start, stroke.end, this.strokePoints(e), key);
+  }
 
-      if (canMove) {
-        selectedArray.forEach(p => {
-          p.time += dx;
-          p.amplitude += dy;
-        });
+  /**
+   * The stroke's points: the samples smoothed forwards and backwards (so the
+   * curve does not lag the mouse), thinned to the minimum spacing and snapped.
+   * Pressing a pen harder follows it more closely; a light touch smooths more.
+   */
+  strokePoints(e) {
+    const { samples, start, end } = this.stroke;
+    const { smoothing, spacing } = this.pencil;
+    const amplitudes = samples.map(s => s.amplitude);
+    const weights = samples.map(s => Math.min(0.95, smoothing * (1.5 - s.pressure)));
+    if (smoothing > 0) {
+      for (let i = 1; i < amplitudes.length; i++) amplitudes[i] += weights[i] * (amplitudes[i - 1] - amplitudes[i]);
+      for (let i = amplitudes.length - 2; i >= 0; i--) amplitudes[i] += weights[i] * (amplitudes[i + 1] - amplitudes[i]);
+    }
+
+    const minGap = this.pixelsToTime(spacing);
+    const kept = [];
+    samples.forEach((s, i) => {
+      const previous = kept[kept.length - 1];
+      const isLast = i === samples.length - 1;
+      if (previous && s.time - previous.time < minGap) {
+        // The stroke always ends where the mouse is
+        if (!isLast) return;
+        if (kept.length > 1) kept.pop();
       }
+      kept.push({ time: s.time, amplitude: amplitudes[i] });
+    });
+
+    // Snapping may merge neighbours or push one outside the swept range
+    const points = [];
+    kept.forEach(p => {
+      const snapped = this.snap(p.time, p.amplitude, e);
+      if (snapped.time < start || snapped.time > end) return;
+      const previous = points[points.length - 1];
+      if (previous && snapped.time <= previous.time) points.pop();
+      points.push(snapped);
+    });
+    return points;
+  }
+
+  pixelsToTime(pixels) {
+    return (pixels / this.canvas.width) * this.renderer.visibleRange(this.dataModel);
+  }
+
+  rulerTime(x) {
+    const t = this.renderer.xToTime(this.dataModel, x);
+    return Math.max(0, Math.min(this.dataModel.duration, t));
+  }
+
+  dragRuler(e) {
+    const t = this.rulerTime(e.offsetX);
+    if (this.rulerDrag.cue) {
+      this.dragCue(e, t);
+    } else if (this.rulerDrag.loop) {
+      this.dataModel.setLoop({ start: Math.min(this.rulerDrag.anchor, t), end: Math.max(this.rulerDrag.anchor, t) }, true);
     } else {
-      const newTime = this.draggingPoint.time + dx;
-      const newAmp = this.draggingPoint.amplitude + dy;
+      this.dataModel.setCursor(t);
+    }
+  }
 
-      if (newTime >= 0 && newTime <= this.dataModel.duration && newAmp >= -1 && newAmp <= 1) {
-        this.draggingPoint.time = newTime;
-        this.draggingPoint.amplitude = newAmp;
-      }
+  // A marker or region edge follows the pointer (snapped); a region dragged by
+  // its label keeps its length and moves by the pointer's travel
+  dragCue(e, t) {
+    const { cue, anchor } = this.rulerDrag;
+    const snapTime = time => this.snap(time, 0, e).time;
+    const mergeKey = `cue${this.dragCount}`;
+    if (cue.part === 'move') {
+      const length = cue.end - cue.start;
+      const start = Math.max(0, Math.min(this.dataModel.duration - length, snapTime(cue.start + t - anchor)));
+      this.dataModel.updateCue(cue.id, { start, end: start + length }, mergeKey);
+    } else if (cue.part === 'time') {
+      this.dataModel.updateCue(cue.id, { time: snapTime(t) }, mergeKey);
+    } else {
+      // The other edge stays where it was, even after the dragged one crosses it
+      const fixed = cue.part === 'start' ? cue.end : cue.start;
+      this.dataModel.updateCue(cue.id, { start: snapTime(t), end: fixed }, mergeKey);
     }
+  }
 
-    this.dataModel.points.sort((a, b) => a.time - b.time);
+  // Handles are stored relative to their point so they follow it when it moves
+  dragHandle(e) {
+    const { point, which } = this.draggingHandle;
+    const handle = {
+      dt: this.renderer.xToTime(this.dataModel, e.offsetX) - point.time,
+      da: this.renderer.yToAmplitude(e.offsetY) - point.amplitude
+    };
+    this.dataModel.setHandle(point, which, handle, `drag${this.dragCount}`);
   }
 
   panCanvas(e) {
     const dx = e.clientX - this.lastX;
     const visible = this.renderer.visibleRange(this.dataModel);
-    this.dataModel.pan = Math.max(
-      0,
-      Math.min(
-        this.dataModel.duration - visible,
-        this.dataModel.pan - (dx / this.canvas.width) * visible * CONFIG.PAN_MOUSE_SENSITIVITY
-      )
-    );
+    this.dataModel.setView({
+      pan: this.renderer.clampPan(this.dataModel, this.dataModel.pan - (dx / this.canvas.width) * visible * CONFIG.PAN_MOUSE_SENSITIVITY)
+    });
   }
 
   onWheel(e) {
     e.preventDefault();
 
-    if (Math.abs(e.deltaX) > Math.abs(e.deltaY)) {
+    if (e.shiftKey) {
+      // Amplitude zoom around the value under the mouse (some systems turn Shift+wheel sideways)
+      this.renderer.syncView(this.dataModel);
+      const delta = e.deltaY || e.deltaX;
+      this.zoomAmplitude(Math.exp(-delta * CONFIG.AMPLITUDE_ZOOM_SENSITIVITY), this.renderer.yToDisplay(e.offsetY), e.offsetY);
+    } else if (e.altKey) {
+      // Amplitude pan; wheel down moves the view down
+      const half = this.renderer.laneHeight() / 2;
+      this.dataModel.setView({
+        amplitudePan: this.dataModel.amplitudePan - (e.deltaY || e.deltaX) / (half * this.dataModel.amplitudeZoom)
+      });
+    } else if (Math.abs(e.deltaX) > Math.abs(e.deltaY)) {
       // Horizontal pan
       const visible = this.renderer.visibleRange(this.dataModel);
-      this.dataModel.pan = Math.max(
-        0,
-        Math.min(
-          this.dataModel.duration - visible,
-          this.dataModel.pan + (e.deltaX / CONFIG.PAN_WHEEL_SENSITIVITY) * visible
-        )
-      );
+      this.dataModel.setView({
+        pan: this.renderer.clampPan(this.dataModel, this.dataModel.pan + (e.deltaX / CONFIG.PAN_WHEEL_SENSITIVITY) * visible)
+      });
     } else {
       // Vertical zoom
       const mxTime = this.renderer.xToTime(this.dataModel, e.offsetX);
       const factor = Math.exp(-e.deltaY * CONFIG.ZOOM_SENSITIVITY);
-      this.dataModel.zoom = Math.max(CONFIG.ZOOM_MIN, Math.min(CONFIG.ZOOM_MAX, this.dataModel.zoom * factor));
-      const visible = this.renderer.visibleRange(this.dataModel);
-      this.dataModel.pan = Math.max(
-        0,
-        Math.min(
-          this.dataModel.duration - visible,
-          mxTime - (e.offsetX / this.canvas.width) * visible
-        )
-      );
+      const zoom = Math.max(CONFIG.ZOOM_MIN, Math.min(CONFIG.ZOOM_MAX, this.dataModel.zoom * factor));
+      this.dataModel.setView({ zoom, pan: this.zoomedPan(zoom, mxTime, e.offsetX) });
     }
 
     this.onStateChange();
   }
 
-  onKeyDown(e) {
-    if (e.metaKey || e.ctrlKey) {
-      this.isCommandKey = true;
-
-      if (e.key === 'a') {
-        e.preventDefault();
-        this.dataModel.selectAllPoints();
-        this.onStateChange();
-        return;
-      }
-
-      if (e.key === 'c') {
-        this.dataModel.copySelected();
-        return;
-      }
+  /**
+   * Multiply the amplitude zoom, keeping display value `display` at pixel y
+   * (the centre of the view when omitted)
+   */
+  zoomAmplitude(factor, display = this.dataModel.amplitudePan, y = null) {
+    const amplitudeZoom = Math.max(1, Math.min(CONFIG.AMPLITUDE_ZOOM_MAX, this.dataModel.amplitudeZoom * factor));
+    let amplitudePan = display;
+    if (y !== null) {
+      const lane = this.renderer.laneAt(y);
+      const half = this.renderer.laneHeight() / 2;
+      amplitudePan = display - (this.renderer.laneTop(lane) + half - y) / (half * amplitudeZoom);
+    }
+    this.dataModel.setView({ amplitudeZoom, amplitudePan });
+  }
 
-      if (e.key === 'v') {
-        e.preventDefault();
-        this.dataModel.pastePoints();
-        this.onStateChange();
-        return;
-      }
+  // Pan that keeps `time` under pixel x at the given zoom
+  zoomedPan(zoom, time, x) {
+    const view = { duration: this.dataModel.duration, mode: this.dataModel.mode, zoom };
+    return this.renderer.clampPan(view, time - (x / this.canvas.width) * this.renderer.visibleRange(view));
+  }
 
-      if (e.key === 'z' && !e.shiftKey) {
-        e.preventDefault();
-        this.dataModel.undo();
-        this.onStateChange();
-        return;
+  /**
+   * Editing commands (see commands.js). Number keys set the interpolation of
+   * segments starting at the selected points.
+   */
+  registerCommands(commands) {
+    const model = this.dataModel;
+    const interpolation = (key, mode) => ({
+      id: `interpolation.${mode || 'clear'}`,
+      title: mode ? `Set ${mode} interpolation` : 'Clear interpolation',
+      keys: [key],
+      run: () => {
+        const targets = model.selectionTargets();
+        if (targets.length > 0) model.setSegmentInterpolation(targets, mode);
       }
+    });
+    const toggleTool = tool => () => this.setTool(this.tool === tool ? 'select' : tool);
+
+    [
+      { id: 'edit.undo', title: 'Undo', keys: ['Mod+Z'], run: () => model.undo() },
+      { id: 'edit.redo', title: 'Redo', keys: ['Mod+Shift+Z', 'Mod+Y'], run: () => model.redo() },
+      { id: 'edit.selectAll', title: 'Select all points', keys: ['Mod+A'], run: () => model.selectAllPoints() },
+      { id: 'edit.deselect', title: 'Clear selection', keys: ['Escape'], run: () => model.clearSelection() },
+      { id: 'edit.copy', title: 'Copy points', keys: ['Mod+C'], run: () => model.copySelected() },
+      { id: 'edit.paste', title: 'Paste points', keys: ['Mod+V'], run: () => model.pastePoints() },
+      { id: 'edit.delete', title: 'Delete selected points', keys: ['Delete', 'Backspace'], run: () => this.deleteSelection() },
+      { id: 'edit.quantize', title: 'Quantize selection to the snap grid', keys: ['Q'], run: () => model.quantizeSelection() },
+      { id: 'transform.reverse', title: 'Reverse selection', run: () => model.reverseSelection() },
+      { id: 'transform.invert', title: 'Invert polarity', run: () => model.invertSelection() },
+      { id: 'transform.normalize', title: 'Normalize to full scale', run: () => model.normalizeSelection(1, 'peak') },
+      { id: 'transform.removeDC', title: 'Remove DC offset', run: () => model.removeDCOffset() },
+      { id: 'transform.mirror', title: 'Mirror selection after its last point', run: () => model.mirrorSelection() },
+      { id: 'transport.loopSelection', title: 'Loop the selection', keys: ['L'], run: () => model.setLoopToSelection() },
+      { id: 'tool.pencil', title: 'Pencil tool', keys: ['P'], run: toggleTool('pencil') },
+      { id: 'tool.eraser', title: 'Eraser tool', keys: ['E'], run: toggleTool('eraser') },
+      { id: 'tool.select', title: 'Select tool', run: () => this.setTool('select') },
+      { id: 'view.amplitudeZoomIn', title: 'Zoom in on amplitude', keys: ['+', '='], run: () => this.zoomAmplitude(2) },
+      { id: 'view.amplitudeZoomOut', title: 'Zoom out on amplitude', keys: ['-'], run: () => this.zoomAmplitude(0.5) },
+      { id: 'view.amplitudeReset', title: 'Show the full amplitude range', run: () => model.setView({ amplitudeZoom: 1, amplitudePan: 0 }) },
+      { id: 'view.toggleDbScale', title: 'Toggle dB amplitude scale', keys: ['D'], run: () => model.setAmplitudeScale(model.amplitudeScale === 'db' ? 'linear' : 'db') },
+      interpolation('1', 'step'),
+      interpolation('2', 'linear'),
+      interpolation('3', 'cubic'),
+      interpolation('4', 'bezier'),
+      interpolation('0', null)
+    ].forEach(command => commands.register(command));
+  }
 
-      if (e.key === 'z' && e.shiftKey) {
-        e.preventDefault();
-        this.dataModel.redo();
-        this.onStateChange();
-        return;
-      }
-    }
+  deleteSelection() {
+    const targets = this.dataModel.selectionTargets();
+    if (targets.length === 0) return;
+    this.dataModel.removePoints(new Set(targets));
+    this.dataModel.clearSelection();
+  }
 
-    if (e.key === 'Backspace' || e.key === 'Delete') {
-      if (this.dataModel.selectedPoints.size > 0 || this.dataModel.selectedPoint) {
-        this.dataModel.removePoints(
-          this.dataModel.selectedPoints.size > 0 ? this.dataModel.selectedPoints : new Set([this.dataModel.selectedPoint])
-        );
-        this.dataModel.clearSelection();
-        this.onStateChange();
-      }
-    }
+  // Ctrl/Cmd held turns a drag into a box selection
+  onKeyDown(e) {
+    if (e.metaKey || e.ctrlKey) this.isCommandKey = true;
   }
 
   onKeyUp(e) {
@@ -249,7 +588,8 @@ export class InteractionHandler {
     return { box: this.selectionBox, start: this.selectionStart };
   }
 
-  getIsCommandKey() {
-    return this.isCommandKey;
+  // A box selection is on screen (from Ctrl/Cmd+drag or a long press)
+  isBoxSelecting() {
+    return this.selectionBox !== null;
   }
 }
\ No newline at end of file
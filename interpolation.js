@@ -0,0 +1,170 @@
+// interpolation.js
+// Curve math shared by AudioEngine (sampling) and CanvasRenderer (drawing),
+// so the line on screen is exactly the signal that gets played.
+// -----------------------------------------------------------
+// A segment runs from points[i] to points[i + 1] and uses points[i].interpolation
+// when set, otherwise the document default. Bezier segments read their handles
+// from points[i].handleOut and points[i + 1].handleIn ({ dt, da } offsets).
+
+export const INTERPOLATION_MODES = ['step', 'linear', 'cubic', 'bezier'];
+export const DEFAULT_INTERPOLATION = 'linear';
+
+// Index of the first point with time >= `time` (points.length when there is none)
+export function lowerBound(points, time) {
+  let lo = 0;
+  let hi = points.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (points[mid].time < time) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+export function segmentMode(points, i, defaultMode = DEFAULT_INTERPOLATION) {
+  return points[i].interpolation || defaultMode;
+}
+
+// Catmull-Rom tangent at points[i], in amplitude per second
+function tangentAt(points, i) {
+  const prev = points[i - 1] || points[i];
+  const next = points[i + 1] || points[i];
+  const dt = next.time - prev.time;
+  return dt > 0 ? (next.amplitude - prev.amplitude) / dt : 0;
+}
+
+// Keep handles inside their segment so time stays monotonic along the curve
+function clampHandle(handle, h, direction) {
+  const dt = direction > 0 ? Math.max(0, Math.min(h, handle.dt)) : Math.max(-h, Math.min(0, handle.dt));
+  return { dt, da: handle.da };
+}
+
+// Default Bezier handles follow the Catmull-Rom tangents (a smooth curve until edited)
+export function defaultHandle(points, i, which) {
+  const neighbour = which === 'out' ? points[i + 1] : points[i - 1];
+  if (!neighbour) return { dt: 0, da: 0 };
+  const h = Math.abs(neighbour.time - points[i].time);
+  const m = tangentAt(points, i);
+  return which === 'out' ? { dt: h / 3, da: (m * h) / 3 } : { dt: -h / 3, da: (-m * h) / 3 };
+}
+
+/**
+ * Describe segment i as a mode plus cubic Bezier control points.
+ * Cubic (Hermite) segments are expressed as Beziers with evenly spaced
+ * control times, which is exact, so both callers can share one representation.
+ */
+export function segmentControls(points, i, defaultMode = DEFAULT_INTERPOLATION) {
+  const p0 = points[i];
+  const p1 = points[i + 1];
+  const mode = segmentMode(points, i, defaultMode);
+  const h = p1.time - p0.time;
+
+  let out;
+  let inn;
+  if (mode === 'bezier') {
+    out = clampHandle(p0.handleOut || defaultHandle(points, i, 'out'), h, 1);
+    inn = clampHandle(p1.handleIn || defaultHandle(points, i + 1, 'in'), h, -1);
+  } else {
+    out = { dt: h / 3, da: (tangentAt(points, i) * h) / 3 };
+    inn = { dt: -h / 3, da: (-tangentAt(points, i + 1) * h) / 3 };
+  }
+
+  return {
+    mode,
+    p0,
+    p1,
+    c0: { time: p0.time + out.dt, amplitude: p0.amplitude + out.da },
+    c1: { time: p1.time + inn.dt, amplitude: p1.amplitude + inn.da }
+  };
+}
+
+function bezier(a, b, c, d, s) {
+  const u = 1 - s;
+  return u * u * u * a + 3 * u * u * s * b + 3 * u * s * s * c + s * s * s * d;
+}
+
+/**
+ * Amplitude of segment i at the given time. Times outside the segment hold
+ * the nearest end point.
+ */
+export function evaluateSegment(points, i, time, defaultMode = DEFAULT_INTERPOLATION) {
+  return evaluateControls(segmentControls(points, i, defaultMode), time);
+}
+
+// Same, for controls already built with segmentControls (sample loops reuse them)
+export function evaluateControls(seg, time) {
+  const { p0, p1 } = seg;
+  if (time <= p0.time) return p0.amplitude;
+  if (time >= p1.time) return p1.amplitude;
+
+  const h = p1.time - p0.time;
+  switch (seg.mode) {
+    case 'step':
+      return p0.amplitude;
+    case 'cubic':
+      return bezier(p0.amplitude, seg.c0.amplitude, seg.c1.amplitude, p1.amplitude, (time - p0.time) / h);
+    case 'bezier': {
+      // Time along the curve is monotonic, so bisection always converges
+      let lo = 0;
+      let hi = 1;
+      for (let n = 0; n < 24; n++) {
+        const mid = (lo + hi) / 2;
+        if (bezier(p0.time, seg.c0.time, seg.c1.time, p1.time, mid) < time) lo = mid;
+        else hi = mid;
+      }
+      return bezier(p0.amplitude, seg.c0.amplitude, seg.c1.amplitude, p1.amplitude, (lo + hi) / 2);
+    }
+    default:
+      return p0.amplitude + (p1.amplitude - p0.amplitude) * ((time - p0.time) / h);
+  }
+}
+
+/**
+ * Amplitude of the curve at any time: holds the first value before the first
+ * point and the last value after the last one.
+ */
+export function evaluateAt(points, time, defaultMode = DEFAULT_INTERPOLATION) {
+  if (points.length === 0) return 0;
+  const nextIndex = points.findIndex(p => p.time > time);
+  if (nextIndex === 0) return points[0].amplitude;
+  if (nextIndex === -1) return points[points.length - 1].amplitude;
+  return evaluateSegment(points, nextIndex - 1, time, defaultMode);
+}
+
+/**
+ * Evaluator for times that mostly move forward, as when filling a buffer:
+ * the segment is found by stepping on from the previous call (a binary search
+ * when time jumps back) and its controls are built once, not per sample.
+ */
+export function curveSweep(points, defaultMode = DEFAULT_INTERPOLATION) {
+  let next = -1; // index of the first point after the last time asked for
+  let segIndex = -1;
+  let seg = null;
+  return time => {
+    if (points.length === 0) return 0;
+    if (next === -1 || (next > 0 && points[next - 1].time > time)) next = lowerBound(points, time);
+    while (next < points.length && points[next].time <= time) next++;
+    if (next === 0) return points[0].amplitude;
+    if (next === points.length) return points[points.length - 1].amplitude;
+    if (segIndex !== next - 1) {
+      segIndex = next - 1;
+      seg = segmentControls(points, segIndex, defaultMode);
+    }
+    return evaluateControls(seg, time);
+  };
+}
+
+/**
+ * Points of one cycle (0..duration) with the neighbouring cycles' end points
+ * added on both sides, so the curve wraps smoothly across the seam.
+ */
+export function periodicPoints(points, duration) {
+  if (points.length === 0) return [];
+  const first = points[0];
+  const last = points[points.length - 1];
+  return [
+    { ...last, time: last.time - duration },
+    ...points,
+    { ...first, time: first.time + duration }
+  ];
+}
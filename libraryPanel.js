@@ -0,0 +1,169 @@
+// libraryPanel.js
+// Named projects kept in the browser (see projectStore.js): save the working
+// document into the library, and create, open, rename, duplicate or delete
+// entries. Each entry shows a thumbnail of its waveform.
+
+import { PROJECT_FORMAT, PROJECT_VERSION, restoreProject } from './projectFormat.js';
+import { createProjectId } from './projectStore.js';
+import { escapeHtml } from './html.js';
+
+const THUMBNAIL_WIDTH = 240;
+const THUMBNAIL_HEIGHT = 60;
+
+export class LibraryPanel {
+  /**
+   * options: { store, autosave, snapshot() -> serialized project,
+   * thumbnail(width, height) -> data URL of the document, load(project) }
+   */
+  constructor(dataModel, container, { store, autosave, snapshot, thumbnail, load }) {
+    this.dataModel = dataModel;
+    this.container = container;
+    this.store = store;
+    this.autosave = autosave;
+    this.snapshot = snapshot;
+    this.thumbnail = thumbnail;
+    this.load = load;
+    this.records = [];
+    this.error = null;
+
+    this.container.addEventListener('click', e => {
+      const button = e.target.closest('button[data-action]');
+      if (!button) return;
+      const item = button.closest('[data-id]');
+      this.runAction(button.dataset.action, item && item.dataset.id);
+    });
+    // Save and open change which entry is current
+    dataModel.on('document-loaded', () => this.render());
+    this.refresh();
+  }
+
+  get current() {
+    return this.autosave.libraryEntry;
+  }
+
+  async refresh() {
+    try {
+      this.records = await this.store.listProjects();
+      this.error = null;
+    } catch (error) {
+      this.records = [];
+      this.error = error.message;
+    }
+    this.render();
+  }
+
+  render() {
+    if (this.error) {
+      this.container.innerHTML = `<p class="modal-note">The project library needs browser storage: ${escapeHtml(this.error)}</p>`;
+      return;
+    }
+    const current = this.current;
+    this.container.innerHTML = `
+      <button class="export-option" data-action="save">${current ? `Save "${escapeHtml(current.name)}"` : 'Save to library'}</button>
+      ${current ? '<button class="export-option" data-action="save-as">Save as new project</button>' : ''}
+      <button class="export-option" data-action="new">New project</button>
+      ${this.records.length === 0 ? '<p class="modal-note">No saved projects yet.</p>' : ''}
+      <ul class="library-list">
+        ${this.records.map(r => `
+          <li class="library-item${current && current.id === r.id ? ' current' : ''}" data-id="${escapeHtml(r.id)}">
+            <img class="library-thumbnail" src="${r.thumbnail}" alt="" width="${THUMBNAIL_WIDTH}" height="${THUMBNAIL_HEIGHT}">
+            <div class="library-name">${escapeHtml(r.name)}</div>
+            <div class="library-date">${new Date(r.updatedAt).toLocaleString()}</div>
+            <div class="library-actions">
+              <button class="icon-button" data-action="open">Open</button>
+              <button class="icon-button" data-action="rename">Rename</button>
+              <button class="icon-button" data-action="duplicate">Duplicate</button>
+              <button class="icon-button" data-action="delete">Delete</button>
+            </div>
+          </li>`).join('')}
+      </ul>
+    `;
+  }
+
+  // Unsaved work is only thrown away after asking
+  confirmDiscard() {
+    return !this.autosave.dirty || confirm('The current document has unsaved changes. Discard them?');
+  }
+
+  // Buttons and commands; storage errors are reported, not thrown
+  runAction(action, id = null) {
+    return this.onAction(action, id).catch(error => {
+      console.error('Library action failed:', error);
+      alert(`Library: ${error.message}`);
+    });
+  }
+
+  async onAction(action, id) {
+    const record = id ? this.records.find(r => r.id === id) : null;
+    if (action === 'save') {
+      await this.save(this.current);
+    } else if (action === 'save-as') {
+      await this.save(null);
+    } else if (action === 'new') {
+      await this.createProject();
+    } else if (action === 'open' && record) {
+      await this.open(record.id);
+    } else if (action === 'rename' && record) {
+      const name = prompt('Project name', record.name);
+      if (!name) return;
+      await this.store.putProject({ ...record, name, updatedAt: Date.now() });
+      if (this.current && this.current.id === record.id) await this.autosave.markSaved({ id: record.id, name });
+    } else if (action === 'duplicate' && record) {
+      const now = Date.now();
+      await this.store.putProject({ ...record, id: createProjectId(), name: `${record.name} copy`, createdAt: now, updatedAt: now });
+    } else if (action === 'delete' && record) {
+      if (!confirm(`Delete "${record.name}" from the library?`)) return;
+      await this.store.deleteProject(record.id);
+      // The document stays open, now saved nowhere
+      if (this.current && this.current.id === record.id) {
+        this.autosave.libraryEntry = null;
+        this.autosave.dirty = true;
+        this.autosave.schedule();
+      }
+    }
+    await this.refresh();
+  }
+
+  // Write the working document to `entry` ({ id, name }), or to a new entry when null
+  async save(entry) {
+    let target = entry;
+    let createdAt = Date.now();
+    if (target) {
+      const existing = await this.store.getProject(target.id);
+      if (existing) createdAt = existing.createdAt;
+    } else {
+      const name = prompt('Project name', 'Untitled');
+      if (!name) return;
+      target = { id: createProjectId(), name };
+    }
+    await this.store.putProject({
+      ...target,
+      project: this.snapshot(),
+      thumbnail: this.thumbnail(THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT),
+      createdAt,
+      updatedAt: Date.now()
+    });
+    await this.autosave.markSaved(target);
+    this.render();
+  }
+
+  // An empty document, saved under a new name right away
+  async createProject() {
+    if (!this.confirmDiscard()) return;
+    const name = prompt('Name for the new project', 'Untitled');
+    if (!name) return;
+    const empty = { format: PROJECT_FORMAT, version: PROJECT_VERSION, channels: [{ name: 'Ch 1', points: [] }] };
+    this.load(restoreProject(empty, this.dataModel.projectDefaults()));
+    await this.save({ id: createProjectId(), name });
+  }
+
+  async open(id) {
+    if (!this.confirmDiscard()) return;
+    const record = await this.store.getProject(id);
+    if (!record) throw new Error('That project is no longer in the library');
+    // Checked like a file, since storage outlives the code that wrote it
+    this.load(restoreProject(record.project, this.dataModel.projectDefaults()));
+    await this.autosave.markSaved({ id: record.id, name: record.name });
+    this.render();
+  }
+}
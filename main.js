@@ -4,6 +4,15 @@ import { CanvasRenderer } from './canvasRenderer.js';
 import { InteractionHandler } from './interaction.js';
 import { AudioEngine } from './audioEngine.js';
 import { UI } from './ui.js';
+import { SpectrumView } from './spectrumView.js';
+import { Minimap } from './minimap.js';
+import { PluginHost } from './plugins.js';
+import { Instrument } from './instrument.js';
+import { PianoKeyboard } from './pianoKeyboard.js';
+import { CommandRegistry } from './commands.js';
+import { CommandPalette } from './commandPalette.js';
+import { ProjectStore } from './projectStore.js';
+import { CONFIG } from './config.js';
 
 console.log('✅ main.js loaded');
 
@@ -29,22 +38,101 @@ try {
   const audioEngine = new AudioEngine();
   console.log('✅ AudioEngine initialized');
 
-  // Render function
+  let frame = null;
+
+  // Every store change and everything else that changes the view calls
+  // render(); the redraw itself runs at most once per animation frame, and
+  // only when something asked for it
   function render() {
-    console.log('Rendering...');
+    if (frame === null) frame = requestAnimationFrame(draw);
+  }
+
+  function draw() {
+    frame = null;
     const { box, start } = interactionHandler.getSelectionBoxState();
-    const isCommandKey = interactionHandler.getIsCommandKey();
-    renderer.draw(dataModel, box, start, isCommandKey);
+    renderer.draw(dataModel, box, start, interactionHandler.isBoxSelecting(), audioEngine.getPosition());
+    minimap.draw();
+    spectrumView.requestUpdate(dataModel, renderer);
   }
 
+  dataModel.on('change', render);
+
+  const minimap = new Minimap(document.getElementById('minimapCanvas'), dataModel, renderer);
+  console.log('✅ Minimap initialized');
+
+  const spectrumView = new SpectrumView(document.getElementById('spectrumPanel'), audioEngine, () => render());
+  const spectrumMode = document.getElementById('spectrumMode');
+  if (spectrumMode) {
+    spectrumMode.addEventListener('change', () => spectrumView.setMode(spectrumMode.value));
+  }
+  console.log('✅ SpectrumView initialized');
+
+  // Play mode: the waveform as an instrument
+  const piano = new PianoKeyboard(document.getElementById('pianoPanel'), new Instrument(audioEngine), () => render());
+  const pianoBtn = document.getElementById('pianoBtn');
+  const togglePiano = () => {
+    const open = piano.toggle();
+    if (pianoBtn) pianoBtn.classList.toggle('active', open);
+  };
+  if (pianoBtn) {
+    pianoBtn.addEventListener('click', togglePiano);
+  }
+  console.log('✅ Instrument initialized');
+
   // Initialize interaction handler with render callback
   const interactionHandler = new InteractionHandler(canvas, dataModel, renderer, render);
   console.log('✅ InteractionHandler initialized');
 
+  // Drawing tools; the tool.pencil and tool.eraser commands switch them too
+  const toolSelect = document.getElementById('toolSelect');
+  const smoothingSelect = document.getElementById('pencilSmoothingSelect');
+  const spacingInput = document.getElementById('pencilSpacingInput');
+  interactionHandler.onToolChange = tool => {
+    if (toolSelect) toolSelect.value = tool;
+    if (smoothingSelect) smoothingSelect.style.display = tool === 'pencil' ? '' : 'none';
+    if (spacingInput) spacingInput.style.display = tool === 'pencil' ? '' : 'none';
+  };
+  interactionHandler.setTool('select');
+  if (toolSelect) {
+    toolSelect.addEventListener('change', () => interactionHandler.setTool(toolSelect.value));
+  }
+  if (smoothingSelect) {
+    smoothingSelect.value = String(interactionHandler.pencil.smoothing);
+    smoothingSelect.addEventListener('change', () => {
+      interactionHandler.pencil.smoothing = parseFloat(smoothingSelect.value);
+    });
+  }
+  if (spacingInput) {
+    spacingInput.value = interactionHandler.pencil.spacing;
+    spacingInput.addEventListener('change', () => {
+      const spacing = parseFloat(spacingInput.value);
+      if (spacing >= 0) interactionHandler.pencil.spacing = spacing;
+      else spacingInput.value = interactionHandler.pencil.spacing;
+    });
+  }
+
   // Initialize UI controller
   const ui = new UI(dataModel, audioEngine, render);
   console.log('✅ UI initialized');
 
+  // Autosave and the project library, in the browser's IndexedDB
+  ui.setupLibrary(new ProjectStore(), renderer)
+    .catch(error => console.error('Project library unavailable:', error));
+
+  // Every shortcut is a command; config.json's KEYMAP rebinds them
+  const commands = new CommandRegistry(CONFIG.KEYMAP || {});
+  const palette = new CommandPalette(commands);
+  commands.register({ id: 'palette.open', title: 'Show all commands', keys: ['Mod+K'], run: () => palette.toggle() });
+  commands.register({ id: 'view.keyboard', title: 'Toggle play mode keyboard', run: togglePiano });
+  interactionHandler.registerCommands(commands);
+  ui.registerCommands(commands);
+  commands.attach(window);
+  console.log('✅ Commands registered');
+
+  // Plugins listed in config.json
+  const plugins = new PluginHost({ dataModel, audioEngine, renderer, ui, commands, render });
+  plugins.loadAll(CONFIG.PLUGINS || []);
+
   // Initial render
   render();
   console.log('✅ Initial render complete');
@@ -52,126 +140,3 @@ try {
   console.error('❌ Initialization error:', error);
   console.error(error.stack);
 }
-
-// Hook up export/load buttons
-const exportBtn = document.getElementById('exportBtn');
-if (exportBtn) {
-  exportBtn.addEventListener('click', () => {
-    const json = JSON.stringify(points);
-    const blob = new Blob([json], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'wave_points.json';
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-  });
-}
-
-const importBtn = document.getElementById('importBtn');
-if (importBtn) {
-  importBtn.addEventListener('click', () => {
-    const input = document.createElement('input');
-    input.type = 'file';
-    input.accept = '.wav, .mp3';
-    input.addEventListener('change', async (e) => {
-      const file = e.target.files[0];
-      if (!file) return;
-
-      document.getElementById('loadingBar').style.display = 'block';
-      const loadingProgress = document.querySelector('.loading-progress');
-      loadingProgress.style.width = '0%';
-
-      const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-      const reader = new FileReader();
-
-      reader.onload = async (event) => {
-        const arrayBuffer = event.target.result;
-        loadingProgress.style.width = '50%';
-
-        try {
-          const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
-          loadingProgress.style.width = '100%';
-
-          const maxDuration = Math.min(audioBuffer.duration, 5);
-          const sampleRate = audioBuffer.sampleRate;
-          points.splice(0, points.length); // Clear existing points
-
-          for (let i = 0; i < maxDuration * sampleRate; i++) {
-            const sample = audioBuffer.getChannelData(0)[i];
-            const time = i / sampleRate;
-            points.push({ time, amplitude: sample });
-          }
-
-          renderer.points = points;
-          renderer.draw();
-          document.getElementById('loadingBar').style.display = 'none';
-        } catch (error) {
-          console.error('Error decoding audio:', error);
-          document.getElementById('loadingBar').style.display = 'none';
-        }
-      };
-
-      reader.readAsArrayBuffer(file);
-    });
-    input.click();
-  });
-}
-
-// Setup keyboard shortcuts
-window.addEventListener('keydown', (e) => {
-  const isCmd = e.metaKey || e.ctrlKey;
-
-  if (isCmd && e.key === 'a') {
-    e.preventDefault();
-    selectedPoints = new Set(points);
-    renderer.selectedPoints = selectedPoints;
-    renderer.draw();
-  }
-
-  if (isCmd && e.key === 'c') {
-    interaction.copiedPoints = Array.from(selectedPoints).map(p => ({
-      time: p.time,
-      amplitude: p.amplitude
-    }));
-    console.log('Copied:', interaction.copiedPoints);
-  }
-
-  if (isCmd && e.key === 'v' && interaction.copiedPoints && interaction.copiedPoints.length > 0) {
-    e.preventDefault();
-    const lastPoint = points[points.length - 1];
-    const startTime = lastPoint ? lastPoint.time : 0;
-
-    const newPoints = interaction.copiedPoints.map(p => ({
-      time: startTime + (p.time - interaction.copiedPoints[0].time),
-      amplitude: p.amplitude
-    }));
-
-    points.push(...newPoints);
-    points.sort((a, b) => a.time - b.time);
-    selectedPoints = new Set(newPoints);
-    renderer.points = points;
-    renderer.selectedPoints = selectedPoints;
-    renderer.draw();
-    console.log('Pasted:', newPoints);
-  }
-
-  if (isCmd && e.key === 'z' && !e.shiftKey) {
-    e.preventDefault();
-    // Undo logic here
-  }
-
-  if (isCmd && e.shiftKey && e.key === 'z') {
-    e.preventDefault();
-    // Redo logic here
-  }
-});
-
-// Request animation frame for continuous updates
-function animate() {
-  renderer.draw();
-  requestAnimationFrame(animate);
-}
-animate();
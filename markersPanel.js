@@ -0,0 +1,88 @@
+// markersPanel.js
+// List of the document's markers and regions: names, exact times, whether a
+// region loops (looping regions become smpl loops in exported WAVs), removal,
+// and buttons to add new ones. Every edit goes through the DataModel as one undo step.
+
+import { escapeHtml } from './html.js';
+
+const REFRESH_EVENTS = ['markers-changed', 'document-loaded', 'selection-changed', 'loop-changed'];
+
+function formatTime(t) {
+  return t.toFixed(6);
+}
+
+export class MarkersPanel {
+  constructor(dataModel, container) {
+    this.dataModel = dataModel;
+    this.container = container;
+
+    REFRESH_EVENTS.forEach(type => dataModel.on(type, () => this.render()));
+    this.container.addEventListener('change', e => this.onFieldChange(e));
+    this.container.addEventListener('click', e => {
+      const button = e.target.closest('button[data-action]');
+      if (button) this.onAction(button.dataset.action, button.closest('[data-id]'));
+    });
+    this.render();
+  }
+
+  // Where "Add region" would put one: the selection's span, else the loop region
+  regionSource() {
+    return this.dataModel.selectionRange() || this.dataModel.loopRegion;
+  }
+
+  render() {
+    const { markers, regions } = this.dataModel;
+    const field = (name, value, attrs = '') => `<input name="${name}" type="number" step="any" min="0" value="${formatTime(value)}" ${attrs}>`;
+    this.container.innerHTML = `
+      <button class="export-option" data-action="add-marker">Add marker at cursor</button>
+      <button class="export-option" data-action="add-region" ${this.regionSource() ? '' : 'disabled'}>Add region from selection or loop</button>
+      <h4 class="inspector-heading">Markers</h4>
+      ${markers.length === 0 ? '<p class="modal-note">No markers.</p>' : ''}
+      ${markers.map(m => `
+        <div class="cue-row" data-id="${escapeHtml(m.id)}">
+          <input name="name" type="text" value="${escapeHtml(m.name)}" spellcheck="false">
+          <button class="icon-button" data-action="remove" title="Remove">&times;</button>
+          <label class="modal-field">Time (s) ${field('time', m.time)}</label>
+        </div>`).join('')}
+      <h4 class="inspector-heading">Regions</h4>
+      ${regions.length === 0 ? '<p class="modal-note">No regions. Drag edges and labels in the ruler to adjust them.</p>' : ''}
+      ${regions.map(r => `
+        <div class="cue-row" data-id="${escapeHtml(r.id)}">
+          <input name="name" type="text" value="${escapeHtml(r.name)}" spellcheck="false">
+          <button class="icon-button" data-action="remove" title="Remove">&times;</button>
+          <label class="modal-field">Start (s) ${field('start', r.start)}</label>
+          <label class="modal-field">End (s) ${field('end', r.end)}</label>
+          <label class="modal-field"><input name="loop" type="checkbox" ${r.loop ? 'checked' : ''}> Loop (WAV smpl)</label>
+        </div>`).join('')}
+    `;
+  }
+
+  // Values apply as soon as a field is committed
+  onFieldChange(e) {
+    const row = e.target.closest('[data-id]');
+    if (!row) return;
+    const { id } = row.dataset;
+    const input = e.target;
+    if (input.name === 'name') {
+      this.dataModel.updateCue(id, { name: input.value });
+    } else if (input.name === 'loop') {
+      this.dataModel.updateCue(id, { loop: input.checked });
+    } else {
+      const value = parseFloat(input.value);
+      if (Number.isFinite(value)) this.dataModel.updateCue(id, { [input.name]: value });
+      // Refused or clamped values show what the document actually holds
+      this.render();
+    }
+  }
+
+  onAction(action, row) {
+    if (action === 'add-marker') {
+      this.dataModel.addMarker();
+    } else if (action === 'add-region') {
+      const range = this.regionSource();
+      if (range) this.dataModel.addRegion(range.start, range.end);
+    } else if (action === 'remove' && row) {
+      this.dataModel.removeCue(row.dataset.id);
+    }
+  }
+}
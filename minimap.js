@@ -0,0 +1,151 @@
+// minimap.js
+// Overview strip under the main canvas: the whole document as a peak summary
+// with a rectangle for the visible window. Drag the rectangle to pan, drag its
+// edges to zoom, click elsewhere to jump there.
+
+import { CONFIG } from './config.js';
+
+const EDGE_GRAB = 6;  // px either side of a window edge that resize it
+const MIN_WIDTH = 4;  // px; the window never draws narrower, however far in the view zooms
+
+export class Minimap {
+  constructor(canvas, dataModel, renderer) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.dataModel = dataModel;
+    this.renderer = renderer;
+    this.summary = { key: '', image: null }; // the peak summary, redrawn only after edits
+    this.drag = null; // { mode: 'pan' | 'left' | 'right', ... } while a pointer is down
+
+    canvas.addEventListener('pointerdown', e => this.onPointerDown(e));
+    canvas.addEventListener('pointermove', e => this.onPointerMove(e));
+    canvas.addEventListener('pointerup', e => this.onPointerUp(e));
+    canvas.addEventListener('pointercancel', e => this.onPointerUp(e));
+    window.addEventListener('resize', () => this.onResize());
+    this.onResize();
+  }
+
+  onResize() {
+    const rect = this.canvas.parentElement.getBoundingClientRect();
+    this.canvas.width = rect.width;
+    this.canvas.height = rect.height;
+    this.summary.key = '';
+    this.draw();
+  }
+
+  // The strip always spans 0..duration, whatever the view
+  timeToX(t) {
+    return (t / this.dataModel.duration) * this.canvas.width;
+  }
+
+  xToTime(x) {
+    return (x / this.canvas.width) * this.dataModel.duration;
+  }
+
+  // Visible window in strip pixels: { left, right }
+  windowSpan() {
+    const { pan } = this.dataModel;
+    const left = this.timeToX(pan);
+    const right = this.timeToX(pan + this.renderer.visibleRange(this.dataModel));
+    const grow = Math.max(0, MIN_WIDTH - (right - left)) / 2;
+    return { left: left - grow, right: right + grow };
+  }
+
+  draw() {
+    const { width, height } = this.canvas;
+    if (width === 0 || height === 0) return;
+    this.ctx.clearRect(0, 0, width, height);
+    this.ctx.drawImage(this.summaryImage(), 0, 0);
+
+    const { left, right } = this.windowSpan();
+    this.ctx.fillStyle = CONFIG.COLORS.MINIMAP_WINDOW;
+    this.ctx.fillRect(left, 0, right - left, height);
+    this.ctx.strokeStyle = CONFIG.COLORS.MINIMAP_WINDOW_EDGE;
+    this.ctx.lineWidth = 1;
+    this.ctx.strokeRect(Math.round(left) + 0.5, 0.5, Math.max(1, Math.round(right - left) - 1), height - 1);
+
+    const cursor = Math.round(this.timeToX(this.dataModel.cursor)) + 0.5;
+    this.ctx.strokeStyle = CONFIG.COLORS.CURSOR;
+    this.ctx.beginPath();
+    this.ctx.moveTo(cursor, 0);
+    this.ctx.lineTo(cursor, height);
+    this.ctx.stroke();
+  }
+
+  summaryImage() {
+    const { width, height } = this.canvas;
+    const model = this.dataModel;
+    const key = `${model.revision}|${model.duration}|${model.channels.length}|${model.interpolation}|${width}x${height}`;
+    if (key === this.summary.key) return this.summary.image;
+
+    const image = this.summary.image || document.createElement('canvas');
+    image.width = width;
+    image.height = height;
+    this.renderer.drawOverview(image.getContext('2d'), model, width, height);
+
+    this.summary = { key, image };
+    return image;
+  }
+
+  // Pan so the window starts at `pan`, at the given zoom
+  setWindow(zoom, pan) {
+    const view = { duration: this.dataModel.duration, mode: this.dataModel.mode, zoom };
+    this.dataModel.setView({ zoom, pan: this.renderer.clampPan(view, pan) });
+  }
+
+  hitTest(x) {
+    const { left, right } = this.windowSpan();
+    if (Math.abs(x - left) <= EDGE_GRAB && right - left > 2 * EDGE_GRAB) return 'left';
+    if (Math.abs(x - right) <= EDGE_GRAB) return 'right';
+    if (x > left && x < right) return 'pan';
+    return null;
+  }
+
+  onPointerDown(e) {
+    if (!e.isPrimary) return;
+    e.preventDefault();
+    this.canvas.setPointerCapture(e.pointerId);
+    const model = this.dataModel;
+    const visible = this.renderer.visibleRange(model);
+    let mode = this.hitTest(e.offsetX);
+    if (!mode) {
+      // A click outside the window centres the view there and keeps dragging it
+      this.setWindow(model.zoom, this.xToTime(e.offsetX) - visible / 2);
+      mode = 'pan';
+    }
+    this.drag = {
+      mode,
+      x: e.offsetX,
+      pan: model.pan,
+      // The edge that stays put while the other one is dragged
+      anchor: mode === 'left' ? model.pan + visible : model.pan
+    };
+    this.canvas.style.cursor = mode === 'pan' ? 'grabbing' : 'ew-resize';
+  }
+
+  onPointerMove(e) {
+    if (!this.drag) {
+      const mode = this.hitTest(e.offsetX);
+      this.canvas.style.cursor = mode === 'pan' ? 'grab' : mode ? 'ew-resize' : 'pointer';
+      return;
+    }
+    const model = this.dataModel;
+    const { mode, anchor } = this.drag;
+    if (mode === 'pan') {
+      this.setWindow(model.zoom, this.drag.pan + this.xToTime(e.offsetX) - this.xToTime(this.drag.x));
+      return;
+    }
+    // Edges zoom: the window runs from the fixed edge to the pointer
+    const t = this.xToTime(e.offsetX);
+    const limits = { min: model.duration / CONFIG.ZOOM_MAX, max: model.duration / CONFIG.ZOOM_MIN };
+    const visible = Math.max(limits.min, Math.min(limits.max, mode === 'left' ? anchor - t : t - anchor));
+    this.setWindow(model.duration / visible, mode === 'left' ? anchor - visible : anchor);
+  }
+
+  onPointerUp(e) {
+    if (!this.drag) return;
+    if (this.canvas.hasPointerCapture(e.pointerId)) this.canvas.releasePointerCapture(e.pointerId);
+    this.drag = null;
+    this.onPointerMove(e);
+  }
+}
@@ -0,0 +1,73 @@
+// peakCache.js
+// Min/max summaries of a sorted point list at several block sizes, so a view
+// can draw millions of points as one envelope column per pixel.
+// Pure functions — no DOM, no audio.
+// -----------------------------------------------------------
+
+const BASE_BLOCK = 16;   // points per block at the finest level
+const LEVEL_FACTOR = 4;  // each level summarizes this many blocks of the one below
+
+export class PeakCache {
+  constructor(points) {
+    this.points = points;
+    this.levels = [];
+
+    let size = BASE_BLOCK;
+    let count = Math.ceil(points.length / size);
+    let min = new Float32Array(count).fill(Infinity);
+    let max = new Float32Array(count).fill(-Infinity);
+    for (let i = 0; i < points.length; i++) {
+      const b = (i / size) | 0;
+      const a = points[i].amplitude;
+      if (a < min[b]) min[b] = a;
+      if (a > max[b]) max[b] = a;
+    }
+    this.levels.push({ size, min, max });
+
+    while (count > 1) {
+      const below = this.levels[this.levels.length - 1];
+      size *= LEVEL_FACTOR;
+      count = Math.ceil(count / LEVEL_FACTOR);
+      min = new Float32Array(count).fill(Infinity);
+      max = new Float32Array(count).fill(-Infinity);
+      for (let b = 0; b < below.min.length; b++) {
+        const up = (b / LEVEL_FACTOR) | 0;
+        if (below.min[b] < min[up]) min[up] = below.min[b];
+        if (below.max[b] > max[up]) max[up] = below.max[b];
+      }
+      this.levels.push({ size, min, max });
+    }
+  }
+
+  /**
+   * Lowest and highest amplitude of points[start..end), walking the largest
+   * aligned blocks that fit and reading single points only at the ragged edges.
+   */
+  range(start, end) {
+    let min = Infinity;
+    let max = -Infinity;
+    let i = start;
+    while (i < end) {
+      let level = null;
+      for (let l = this.levels.length - 1; l >= 0; l--) {
+        const { size } = this.levels[l];
+        if (i % size === 0 && i + size <= end) {
+          level = this.levels[l];
+          break;
+        }
+      }
+      if (level) {
+        const b = i / level.size;
+        if (level.min[b] < min) min = level.min[b];
+        if (level.max[b] > max) max = level.max[b];
+        i += level.size;
+      } else {
+        const a = this.points[i].amplitude;
+        if (a < min) min = a;
+        if (a > max) max = a;
+        i++;
+      }
+    }
+    return { min, max };
+  }
+}
@@ -0,0 +1,166 @@
+// pianoKeyboard.js
+// Play mode: an on-screen keyboard under the canvas, plus the computer keyboard
+// mapped to notes (two tracker-style rows), both driving an Instrument.
+
+import { CONFIG } from './config.js';
+
+// Physical keys (KeyboardEvent.code) to semitones above the lowest key: the
+// bottom letter row from Z, and the top row an octave up from Q
+const KEY_SEMITONES = {
+  KeyZ: 0, KeyS: 1, KeyX: 2, KeyD: 3, KeyC: 4, KeyV: 5, KeyG: 6, KeyB: 7, KeyH: 8, KeyN: 9, KeyJ: 10, KeyM: 11,
+  Comma: 12, KeyL: 13, Period: 14, Semicolon: 15, Slash: 16,
+  KeyQ: 12, Digit2: 13, KeyW: 14, Digit3: 15, KeyE: 16, KeyR: 17, Digit5: 18, KeyT: 19, Digit6: 20, KeyY: 21,
+  Digit7: 22, KeyU: 23, KeyI: 24, Digit9: 25, KeyO: 26, Digit0: 27, KeyP: 28
+};
+const KEY_COUNT = 29;              // every note the computer keyboard reaches
+const BLACK_KEYS = [1, 3, 6, 8, 10];
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const ENVELOPE_FIELDS = [
+  { name: 'attack', label: 'A', min: 0, max: 5, step: 0.001 },
+  { name: 'decay', label: 'D', min: 0, max: 5, step: 0.001 },
+  { name: 'sustain', label: 'S', min: 0, max: 1, step: 0.01 },
+  { name: 'release', label: 'R', min: 0, max: 10, step: 0.001 }
+];
+
+export class PianoKeyboard {
+  constructor(panel, instrument, onLayoutChange) {
+    this.panel = panel;
+    this.instrument = instrument;
+    this.onLayoutChange = onLayoutChange;
+    this.octave = CONFIG.INSTRUMENT_OCTAVE;
+    this.isOpen = false;
+    this.keyNotes = new Map(); // code -> note, so a key lifts the note it started after an octave change
+
+    this.build();
+    // Capture phase: in play mode the note keys must not reach the editing shortcuts
+    window.addEventListener('keydown', e => this.onKeyDown(e), true);
+    window.addEventListener('keyup', e => this.onKeyUp(e), true);
+    window.addEventListener('blur', () => this.releaseAll());
+  }
+
+  get lowestNote() {
+    return 12 * (this.octave + 1); // MIDI: C4 is 60
+  }
+
+  build() {
+    this.panel.innerHTML = `
+      <div class="piano-controls">
+        <button class="icon-button" data-action="octave-down" title="Octave down ([)">&minus;</button>
+        <span class="piano-octave" data-role="octave"></span>
+        <button class="icon-button" data-action="octave-up" title="Octave up (])">+</button>
+        ${ENVELOPE_FIELDS.map(f => `
+          <label class="piano-field">${f.label}
+            <input name="${f.name}" type="number" min="${f.min}" max="${f.max}" step="${f.step}" value="${this.instrument.envelope[f.name]}">
+          </label>`).join('')}
+        <label class="piano-field">Voices
+          <input name="voices" type="number" min="1" max="32" step="1" value="${this.instrument.maxVoices}">
+        </label>
+      </div>
+      <div class="piano-keys" data-role="keys"></div>
+    `;
+
+    this.panel.querySelector('[data-action="octave-down"]').addEventListener('click', () => this.shiftOctave(-1));
+    this.panel.querySelector('[data-action="octave-up"]').addEventListener('click', () => this.shiftOctave(1));
+    this.panel.querySelector('.piano-controls').addEventListener('change', e => {
+      const input = e.target;
+      const value = Math.max(Number(input.min), Math.min(Number(input.max), parseFloat(input.value)));
+      if (!Number.isFinite(value)) return;
+      if (input.name === 'voices') this.instrument.maxVoices = Math.round(value);
+      else this.instrument.envelope[input.name] = value;
+    });
+
+    const keys = this.panel.querySelector('[data-role="keys"]');
+    keys.addEventListener('pointerdown', e => {
+      const key = e.target.closest('.piano-key');
+      if (!key) return;
+      key.setPointerCapture(e.pointerId);
+      this.press(Number(key.dataset.note));
+    });
+    const lift = e => {
+      const key = e.target.closest('.piano-key');
+      if (key) this.lift(Number(key.dataset.note));
+    };
+    keys.addEventListener('pointerup', lift);
+    keys.addEventListener('pointercancel', lift);
+
+    this.renderKeys();
+  }
+
+  renderKeys() {
+    const low = this.lowestNote;
+    this.panel.querySelector('[data-role="octave"]').textContent = `C${this.octave}`;
+    this.panel.querySelector('[data-role="keys"]').innerHTML = Array.from({ length: KEY_COUNT }, (_, i) => {
+      const note = low + i;
+      const black = BLACK_KEYS.includes(note % 12);
+      const name = `${NOTE_NAMES[note % 12]}${Math.floor(note / 12) - 1}`;
+      return `<div class="piano-key ${black ? 'black' : 'white'}" data-note="${note}" title="${name}"></div>`;
+    }).join('');
+    this.refreshKeys();
+  }
+
+  refreshKeys() {
+    this.panel.querySelectorAll('.piano-key').forEach(key => {
+      key.classList.toggle('pressed', this.instrument.held.has(Number(key.dataset.note)));
+    });
+  }
+
+  shiftOctave(delta) {
+    this.octave = Math.max(0, Math.min(8, this.octave + delta));
+    this.renderKeys();
+  }
+
+  press(note) {
+    this.instrument.noteOn(note).catch(error => console.error('Note failed:', error));
+    this.refreshKeys();
+  }
+
+  lift(note) {
+    this.instrument.noteOff(note);
+    this.refreshKeys();
+  }
+
+  releaseAll() {
+    this.keyNotes.clear();
+    this.instrument.allNotesOff();
+    this.refreshKeys();
+  }
+
+  toggle() {
+    this.isOpen = !this.isOpen;
+    this.panel.classList.toggle('open', this.isOpen);
+    if (!this.isOpen) this.releaseAll();
+    // The main canvas gives up (or takes back) the panel's height
+    window.dispatchEvent(new Event('resize'));
+    if (this.onLayoutChange) this.onLayoutChange();
+    return this.isOpen;
+  }
+
+  // Only while open, and never for shortcuts or typing into fields
+  handlesKey(e) {
+    return this.isOpen && !e.metaKey && !e.ctrlKey && !e.altKey && !e.target.closest('input, select, textarea');
+  }
+
+  onKeyDown(e) {
+    if (!this.handlesKey(e)) return;
+    if (e.code === 'BracketLeft' || e.code === 'BracketRight') {
+      this.shiftOctave(e.code === 'BracketLeft' ? -1 : 1);
+    } else if (e.code in KEY_SEMITONES) {
+      if (!e.repeat && !this.keyNotes.has(e.code)) {
+        const note = this.lowestNote + KEY_SEMITONES[e.code];
+        this.keyNotes.set(e.code, note);
+        this.press(note);
+      }
+    } else {
+      return;
+    }
+    e.preventDefault();
+    e.stopImmediatePropagation();
+  }
+
+  onKeyUp(e) {
+    if (!this.keyNotes.has(e.code)) return;
+    this.lift(this.keyNotes.get(e.code));
+    this.keyNotes.delete(e.code);
+    e.stopImmediatePropagation();
+  }
+}
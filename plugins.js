@@ -0,0 +1,115 @@
+// plugins.js
+// -----------------------------------------------------------
+// Plugins add tools, panels and exporters without editing main.js or ui.js.
+// A plugin is a module listed in config.json's PLUGINS (paths relative to
+// this file) whose default export is { id, name, setup(api) }. setup() may
+// return a function that undoes anything it did outside the api.
+//
+//   api.store                  the DataModel; edit it through its methods
+//   api.audioEngine, api.renderer
+//   api.on(type, handler)      subscribe to a store event (see DOCUMENT_EVENTS)
+//   api.addTool({ id, label, title, run(api) })             a bar button (and a command)
+//   api.addCommand({ id, title, keys, run(api) })           a command (see commands.js)
+//   api.addPanel({ id, title, label, render(body, api) })   a sidebar and its bar button
+//   api.addExporter({ id, label, extension, audio, export({ buffer, dataModel, options }) })
+//                              a format in the Export dialog (see UI.addExporter)
+//   api.render()               request a redraw
+//
+// Everything added through the api is removed when the plugin is unregistered.
+// -----------------------------------------------------------
+
+export class PluginHost {
+  constructor({ dataModel, audioEngine, renderer, ui, commands, render }) {
+    this.dataModel = dataModel;
+    this.audioEngine = audioEngine;
+    this.renderer = renderer;
+    this.ui = ui;
+    this.commands = commands;
+    this.render = render;
+    this.plugins = new Map(); // id -> { plugin, cleanups }
+  }
+
+  // Import and register each module; one that fails is reported and skipped
+  async loadAll(specifiers) {
+    for (const specifier of specifiers) {
+      try {
+        const module = await import(new URL(specifier, import.meta.url));
+        this.register(module.default);
+      } catch (error) {
+        console.error(`Could not load plugin ${specifier}:`, error);
+      }
+    }
+  }
+
+  register(plugin) {
+    if (!plugin || typeof plugin.id !== 'string' || typeof plugin.setup !== 'function') {
+      throw new Error('A plugin must have a string id and a setup(api) function');
+    }
+    if (this.plugins.has(plugin.id)) throw new Error(`Plugin "${plugin.id}" is already registered`);
+
+    const cleanups = [];
+    this.plugins.set(plugin.id, { plugin, cleanups });
+    try {
+      const teardown = plugin.setup(this.createApi(plugin.id, cleanups));
+      if (typeof teardown === 'function') cleanups.push(teardown);
+    } catch (error) {
+      this.unregister(plugin.id);
+      throw error;
+    }
+    this.render();
+    console.log(`✅ Plugin ${plugin.name || plugin.id} registered`);
+  }
+
+  unregister(id) {
+    const entry = this.plugins.get(id);
+    if (!entry) return false;
+    this.plugins.delete(id);
+    entry.cleanups.reverse().forEach(cleanup => cleanup());
+    this.render();
+    return true;
+  }
+
+  // Element, command and exporter ids are prefixed with the plugin id so plugins cannot collide
+  createApi(pluginId, cleanups) {
+    const { dataModel, ui, commands } = this;
+    const scoped = id => `${pluginId}-${id}`;
+    const api = {
+      store: dataModel,
+      audioEngine: this.audioEngine,
+      renderer: this.renderer,
+
+      on: (type, handler) => {
+        const off = dataModel.on(type, handler);
+        cleanups.push(off);
+        return off;
+      },
+
+      addTool: ({ id, label, title = label, run }) => {
+        const button = ui.addBarButton({ id: scoped(id), label, title, onClick: () => run(api) });
+        cleanups.push(() => button.remove());
+        api.addCommand({ id, title, run });
+        return button;
+      },
+
+      addCommand: ({ id, title, keys = [], run }) => {
+        cleanups.push(commands.register({ id: `${pluginId}.${id}`, title, keys, run: () => run(api) }));
+      },
+
+      addPanel: ({ id, title, label = title, render }) => {
+        const panel = ui.addPanel({ id: scoped(id), title, label });
+        cleanups.push(() => panel.remove());
+        render(panel.body, api);
+        return panel;
+      },
+
+      addExporter: exporter => {
+        const id = scoped(exporter.id);
+        ui.addExporter({ ...exporter, id });
+        cleanups.push(() => ui.removeExporter(id));
+      },
+
+      render: () => this.render()
+    };
+    return api;
+  }
+}
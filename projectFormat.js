@@ -0,0 +1,290 @@
+// projectFormat.js
+// The .wavesmith project file: a versioned JSON document holding the header
+// (duration, sample rate, mode...), the view, every channel's points, markers
+// and regions, the effects rack and free-form metadata. Older files are
+// migrated on load and everything is validated before it reaches the DataModel.
+// Pure functions — no DOM, no audio.
+// -----------------------------------------------------------
+
+import { INTERPOLATION_MODES } from './interpolation.js';
+import { EFFECT_TYPES } from './effects.js';
+import { AMPLITUDE_SCALES } from './amplitudeScale.js';
+
+export const PROJECT_FORMAT = 'wavesmith';
+export const PROJECT_VERSION = 1;
+export const PROJECT_EXTENSION = '.wavesmith';
+
+const MODES = ['oneshot', 'cycle'];
+
+/**
+ * Everything needed to reopen the document as it is now.
+ */
+export function serializeProject(dataModel, sampleRate) {
+  const active = dataModel.points;
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    header: {
+      duration: dataModel.duration,
+      sampleRate: dataModel.sampleRate || sampleRate,
+      mode: dataModel.mode,
+      pitch: dataModel.pitch,
+      interpolation: dataModel.interpolation
+    },
+    view: {
+      zoom: dataModel.zoom,
+      pan: dataModel.pan,
+      amplitudeZoom: dataModel.amplitudeZoom,
+      amplitudePan: dataModel.amplitudePan,
+      amplitudeScale: dataModel.amplitudeScale,
+      cursor: dataModel.cursor,
+      activeChannel: dataModel.activeChannel
+    },
+    loop: { region: dataModel.loopRegion, enabled: dataModel.loopEnabled },
+    markers: dataModel.markers,
+    regions: dataModel.regions,
+    // Selection as indices into the active channel's points
+    selection: Array.from(dataModel.selectedPoints).map(p => active.indexOf(p)).filter(i => i !== -1).sort((a, b) => a - b),
+    channels: dataModel.channels.map(c => ({ name: c.name, muted: c.muted, solo: c.solo, points: c.points })),
+    effects: dataModel.effects,
+    metadata: { ...dataModel.metadata, savedAt: new Date().toISOString() }
+  };
+}
+
+// Files from before the project format: a bare point array, one array per
+// channel, or { channels, effects } with point arrays as channels
+function migrateLegacy(data) {
+  let channels;
+  let effects = [];
+  if (Array.isArray(data) && (data.length === 0 || !Array.isArray(data[0]))) {
+    channels = [data];
+  } else if (Array.isArray(data)) {
+    channels = data;
+  } else {
+    channels = data.channels;
+    effects = data.effects || [];
+  }
+  const names = channels.length === 1 ? ['Ch 1'] : channels.map((_, i) => `Ch ${i + 1}`);
+  return {
+    format: PROJECT_FORMAT,
+    version: 1,
+    channels: channels.map((points, i) => ({
+      name: names[i],
+      // Old editors did not always keep points in order
+      points: Array.isArray(points) ? [...points].sort((a, b) => a?.time - b?.time) : points
+    })),
+    effects
+  };
+}
+
+// Upgrade steps, keyed by the version they upgrade from
+const MIGRATIONS = {
+  0: migrateLegacy
+};
+
+function isLegacy(data) {
+  return Array.isArray(data) || (isObject(data) && data.format === undefined && Array.isArray(data.channels));
+}
+
+/**
+ * Bring parsed JSON of any known vintage up to PROJECT_VERSION.
+ */
+export function migrateProject(data) {
+  const legacy = isLegacy(data);
+  let project = data;
+  let version = legacy ? 0 : data?.version;
+  if (!legacy) {
+    if (!isObject(data) || data.format !== PROJECT_FORMAT) {
+      throw new Error('Not a WaveSmith project (expected a "wavesmith" file or a point array)');
+    }
+    if (!Number.isInteger(version) || version < 1) throw new Error(`Unknown project version ${JSON.stringify(version)}`);
+    if (version > PROJECT_VERSION) {
+      throw new Error(`This project was saved by a newer WaveSmith (format version ${version}, this one reads up to ${PROJECT_VERSION})`);
+    }
+  }
+  while (version < PROJECT_VERSION) {
+    project = MIGRATIONS[version](project);
+    version = project.version;
+  }
+  return project;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Check one channel's point list; `label` prefixes the messages (e.g. 'Channel "L": ').
+ * Points must be objects with numeric time >= 0 and amplitude, in time order.
+ */
+export function validatePoints(points, label = '') {
+  if (!Array.isArray(points)) throw new Error(`${label}points must be an array`);
+  for (let i = 0; i < points.length; i++) {
+    const p = points[i];
+    if (!isObject(p)) throw new Error(`${label}point ${i} is not an object`);
+    if (!isNumber(p.time)) throw new Error(`${label}point ${i} has non-numeric time`);
+    if (p.time < 0) throw new Error(`${label}point ${i} has negative time ${p.time}`);
+    if (!isNumber(p.amplitude)) throw new Error(`${label}point ${i} has non-numeric amplitude`);
+    if (i > 0 && p.time < points[i - 1].time) throw new Error(`${label}point ${i} comes before point ${i - 1} in time`);
+    if (p.interpolation !== undefined && !INTERPOLATION_MODES.includes(p.interpolation)) {
+      throw new Error(`${label}point ${i} has unknown interpolation "${p.interpolation}"`);
+    }
+    ['handleIn', 'handleOut'].forEach(name => {
+      const h = p[name];
+      if (h !== undefined && !(isObject(h) && isNumber(h.dt) && isNumber(h.da))) {
+        throw new Error(`${label}point ${i} has an invalid ${name} (expected { dt, da } numbers)`);
+      }
+    });
+  }
+}
+
+function validateEffects(effects) {
+  if (!Array.isArray(effects)) throw new Error('effects must be an array');
+  return effects.map((effect, i) => {
+    if (!isObject(effect)) throw new Error(`effect ${i} is not an object`);
+    const definition = EFFECT_TYPES[effect.type];
+    if (!definition) throw new Error(`effect ${i} has unknown type "${effect.type}"`);
+    const params = {};
+    Object.entries(definition.params).forEach(([name, spec]) => {
+      const value = effect.params?.[name];
+      if (value === undefined) {
+        params[name] = spec.default;
+      } else if (spec.options ? !spec.options.includes(value) : !isNumber(value)) {
+        throw new Error(`effect ${i} (${definition.label}) has an invalid ${name}: ${JSON.stringify(value)}`);
+      } else {
+        params[name] = spec.options ? value : Math.max(spec.min, Math.min(spec.max, value));
+      }
+    });
+    return {
+      id: typeof effect.id === 'string' ? effect.id : `fx${i}${Date.now().toString(36)}`,
+      type: effect.type,
+      enabled: effect.enabled !== false,
+      params
+    };
+  });
+}
+
+// Markers and regions: optional arrays of objects, each checked by `check`
+function validateList(list, name, check) {
+  if (list === undefined) return [];
+  if (!Array.isArray(list)) throw new Error(`${name} must be an array`);
+  return list.map((item, i) => {
+    if (!isObject(item)) throw new Error(`${name} entry ${i} is not an object`);
+    return check(item, i);
+  });
+}
+
+function cueId(cue, kind, i) {
+  return typeof cue.id === 'string' && cue.id ? cue.id : `${kind}${i}${Date.now().toString(36)}`;
+}
+
+function cueName(cue, fallback) {
+  return typeof cue.name === 'string' ? cue.name : fallback;
+}
+
+/**
+ * Validate a current-version project and fill in defaults for optional parts.
+ * Throws with a message naming the offending field.
+ */
+export function validateProject(project, defaults) {
+  const header = { ...defaults.header, ...project.header };
+  if (!isNumber(header.duration) || header.duration <= 0) throw new Error('header.duration must be a positive number');
+  if (header.sampleRate !== null && !(Number.isInteger(header.sampleRate) && header.sampleRate > 0)) {
+    throw new Error('header.sampleRate must be a positive whole number');
+  }
+  if (!MODES.includes(header.mode)) throw new Error(`header.mode must be one of ${MODES.join(', ')}`);
+  if (!isNumber(header.pitch) || header.pitch <= 0) throw new Error('header.pitch must be a positive number');
+  if (!INTERPOLATION_MODES.includes(header.interpolation)) {
+    throw new Error(`header.interpolation must be one of ${INTERPOLATION_MODES.join(', ')}`);
+  }
+
+  if (!Array.isArray(project.channels) || project.channels.length === 0) {
+    throw new Error('channels must be a non-empty array');
+  }
+  const channels = project.channels.map((c, i) => {
+    if (!isObject(c)) throw new Error(`channel ${i} is not an object`);
+    const name = typeof c.name === 'string' && c.name ? c.name : `Ch ${i + 1}`;
+    validatePoints(c.points, `Channel "${name}": `);
+    return { name, muted: c.muted === true, solo: c.solo === true, points: c.points };
+  });
+
+  const view = { ...defaults.view, ...project.view };
+  ['zoom', 'pan', 'amplitudeZoom', 'amplitudePan', 'cursor'].forEach(name => {
+    if (!isNumber(view[name])) throw new Error(`view.${name} must be a number`);
+  });
+  if (view.amplitudeZoom < 1 || Math.abs(view.amplitudePan) > 1) {
+    throw new Error('view.amplitudeZoom must be at least 1 and view.amplitudePan within -1..1');
+  }
+  if (!AMPLITUDE_SCALES.includes(view.amplitudeScale)) {
+    throw new Error(`view.amplitudeScale must be one of ${AMPLITUDE_SCALES.join(', ')}`);
+  }
+  if (!Number.isInteger(view.activeChannel) || view.activeChannel < 0 || view.activeChannel >= channels.length) {
+    throw new Error(`view.activeChannel must be a channel index (0 to ${channels.length - 1})`);
+  }
+
+  const loop = { region: null, enabled: false, ...project.loop };
+  if (loop.region !== null && !(isObject(loop.region) && isNumber(loop.region.start) && isNumber(loop.region.end) && loop.region.end > loop.region.start)) {
+    throw new Error('loop.region must be null or { start, end } with end after start');
+  }
+
+  const markers = validateList(project.markers, 'markers', (m, i) => {
+    if (!isNumber(m.time) || m.time < 0) throw new Error(`marker ${i} must have a time of 0 or more`);
+    return { id: cueId(m, 'marker', i), name: cueName(m, `Marker ${i + 1}`), time: m.time };
+  });
+  const regions = validateList(project.regions, 'regions', (r, i) => {
+    if (!isNumber(r.start) || !isNumber(r.end) || r.start < 0 || !(r.end > r.start)) {
+      throw new Error(`region ${i} must have { start, end } with 0 <= start < end`);
+    }
+    return { id: cueId(r, 'region', i), name: cueName(r, `Region ${i + 1}`), start: r.start, end: r.end, loop: r.loop !== false };
+  });
+
+  const selection = project.selection || [];
+  const activePoints = channels[view.activeChannel].points;
+  if (!Array.isArray(selection)) throw new Error('selection must be an array of point indices');
+  selection.forEach((index, i) => {
+    if (!Number.isInteger(index) || index < 0 || index >= activePoints.length) {
+      throw new Error(`selection entry ${i} (${JSON.stringify(index)}) is not a point of channel "${channels[view.activeChannel].name}"`);
+    }
+  });
+
+  const metadata = project.metadata === undefined ? {} : project.metadata;
+  if (!isObject(metadata)) throw new Error('metadata must be an object');
+
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    header,
+    view,
+    loop: { region: loop.region, enabled: loop.enabled === true },
+    markers: markers.sort((a, b) => a.time - b.time),
+    regions: regions.sort((a, b) => a.start - b.start),
+    selection,
+    channels,
+    effects: validateEffects(project.effects || []),
+    metadata
+  };
+}
+
+/**
+ * Parse the text of a project (or legacy JSON) file into a validated,
+ * current-version project. `defaults` supplies header and view values that
+ * older files do not carry: { header: {...}, view: {...} }.
+ */
+export function parseProject(text, defaults) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`The file is not valid JSON (${error.message})`);
+  }
+  return restoreProject(data, defaults);
+}
+
+// The same for a project that is already an object (as kept in the browser's storage)
+export function restoreProject(data, defaults) {
+  return validateProject(migrateProject(data), defaults);
+}
@@ -0,0 +1,96 @@
+// projectStore.js
+// Projects kept in the browser (IndexedDB): the library of named projects,
+// and the autosaved working document used for crash recovery. Projects are
+// stored as serialized objects (see projectFormat.js) and checked again on
+// the way out, like a file.
+// -----------------------------------------------------------
+// Library records: { id, name, project, thumbnail (PNG data URL), createdAt, updatedAt }
+// Autosave record: { project, libraryId, name, dirty, savedAt }, where `dirty`
+// means it holds work saved nowhere else.
+
+const DB_NAME = 'wavesmith';
+const DB_VERSION = 1;
+const PROJECTS = 'projects';
+const SESSION = 'session';
+const AUTOSAVE_KEY = 'autosave';
+
+// An IDBRequest as a promise
+function settle(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export function createProjectId() {
+  return `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+export class ProjectStore {
+  constructor(name = DB_NAME) {
+    this.name = name;
+    this.db = null; // promise of the open database
+  }
+
+  // Open (and on first use create) the database; rejects where IndexedDB is unavailable
+  open() {
+    if (!this.db) {
+      if (typeof indexedDB === 'undefined') return Promise.reject(new Error('IndexedDB is not available in this browser'));
+      const request = indexedDB.open(this.name, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(PROJECTS)) db.createObjectStore(PROJECTS, { keyPath: 'id' });
+        if (!db.objectStoreNames.contains(SESSION)) db.createObjectStore(SESSION);
+      };
+      this.db = settle(request);
+      // A failed open is retried next time rather than cached
+      this.db.catch(() => {
+        this.db = null;
+      });
+    }
+    return this.db;
+  }
+
+  // Run one request against a store and wait for it to commit
+  async run(storeName, mode, makeRequest) {
+    const db = await this.open();
+    const transaction = db.transaction(storeName, mode);
+    const committed = new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+    const [result] = await Promise.all([settle(makeRequest(transaction.objectStore(storeName))), committed]);
+    return result;
+  }
+
+  // Every library project, most recently changed first
+  async listProjects() {
+    const records = await this.run(PROJECTS, 'readonly', store => store.getAll());
+    return records.sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  getProject(id) {
+    return this.run(PROJECTS, 'readonly', store => store.get(id));
+  }
+
+  putProject(record) {
+    return this.run(PROJECTS, 'readwrite', store => store.put(record));
+  }
+
+  deleteProject(id) {
+    return this.run(PROJECTS, 'readwrite', store => store.delete(id));
+  }
+
+  getAutosave() {
+    return this.run(SESSION, 'readonly', store => store.get(AUTOSAVE_KEY));
+  }
+
+  putAutosave(record) {
+    return this.run(SESSION, 'readwrite', store => store.put(record, AUTOSAVE_KEY));
+  }
+
+  clearAutosave() {
+    return this.run(SESSION, 'readwrite', store => store.delete(AUTOSAVE_KEY));
+  }
+}
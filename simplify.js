@@ -0,0 +1,84 @@
+// simplify.js
+// Reduce dense point lists (imported audio, generated noise) to the fewest
+// points whose straight-line reconstruction stays within a tolerance.
+// Pure functions — no DOM, no audio.
+// -----------------------------------------------------------
+
+import { evaluateSegment } from './interpolation.js';
+
+/**
+ * Greedy linear fit with vertices taken from the input: each segment grows for
+ * as long as one line through its start point passes within `tolerance` of
+ * every point it spans (kept as a window of allowed slopes, so a pass is linear).
+ * Points sharing a time (jumps) are always kept.
+ */
+function fitRun(points, tolerance) {
+  const kept = [0];
+  let anchor = 0;
+  while (anchor < points.length - 1) {
+    const a = points[anchor];
+    let lo = -Infinity;
+    let hi = Infinity;
+    let end = anchor + 1;
+    for (let i = anchor + 1; i < points.length; i++) {
+      const dt = points[i].time - a.time;
+      const slope = (points[i].amplitude - a.amplitude) / dt;
+      if (slope >= lo && slope <= hi) end = i;
+      lo = Math.max(lo, (points[i].amplitude - tolerance - a.amplitude) / dt);
+      hi = Math.min(hi, (points[i].amplitude + tolerance - a.amplitude) / dt);
+      if (lo > hi) break;
+    }
+    kept.push(end);
+    anchor = end;
+  }
+  return kept;
+}
+
+/**
+ * Simplified copy of `points` (sorted by time). Every kept segment is marked
+ * linear, since that is the curve the tolerance was measured against; the last
+ * point keeps its own settings because its segment leads out of the range.
+ */
+export function simplifyPoints(points, tolerance) {
+  if (points.length <= 2) return points.map(p => ({ ...p }));
+
+  // Split at jumps so every run has strictly increasing times
+  const indices = [];
+  let runStart = 0;
+  for (let i = 1; i <= points.length; i++) {
+    if (i === points.length || points[i].time <= points[i - 1].time) {
+      fitRun(points.slice(runStart, i), tolerance).forEach(k => indices.push(runStart + k));
+      runStart = i;
+    }
+  }
+
+  return indices.map((index, n) => {
+    const { handleIn, handleOut, ...p } = points[index];
+    if (n === indices.length - 1) return { ...points[index] };
+    return { ...p, interpolation: 'linear' };
+  });
+}
+
+/**
+ * How far `simplified` strays from `original`, measured at every original point:
+ * { max, rms } in amplitude units.
+ */
+export function reconstructionError(original, simplified, defaultMode) {
+  if (original.length === 0 || simplified.length === 0) return { max: 0, rms: 0 };
+  let max = 0;
+  let sumSquares = 0;
+  let j = 0;
+  original.forEach(p => {
+    // Both lists are sorted, so the segment index only moves forward
+    while (j < simplified.length - 2 && simplified[j + 1].time <= p.time) j++;
+    const value = simplified.length === 1 ? simplified[0].amplitude : evaluateSegment(simplified, j, p.time, defaultMode);
+    let error = Math.abs(value - p.amplitude);
+    // At a jump the point matches whichever side of it it belongs to
+    if (j > 0 && simplified[j].time === p.time && simplified[j - 1].time === p.time) {
+      error = Math.min(error, Math.abs(simplified[j - 1].amplitude - p.amplitude));
+    }
+    max = Math.max(max, error);
+    sumSquares += error * error;
+  });
+  return { max, rms: Math.sqrt(sumSquares / original.length) };
+}
@@ -0,0 +1,44 @@
+// snap.js
+// Snapping positions to the visible time grid, a sample grid and amplitude
+// steps. Pure functions — no DOM, no audio.
+// -----------------------------------------------------------
+
+export const SNAP_TIME_MODES = ['off', 'grid', 'samples'];
+export const GRID_DIVISIONS = 5; // minor grid lines per major step
+
+/**
+ * Major time-grid step (seconds) for a view `visible` seconds wide; the minor
+ * grid divides it by GRID_DIVISIONS.
+ */
+export function gridStep(visible) {
+  if (visible > 8) return 2;
+  if (visible > 4) return 1;
+  if (visible > 2) return 0.5;
+  if (visible > 1) return 0.1;
+  if (visible > 0.5) return 0.05;
+  if (visible > 0.1) return 0.01;
+  if (visible > 0.05) return 0.005;
+  if (visible > 0.01) return 0.001;
+  return 0.0005;
+}
+
+// Nearest multiple of step, without float noise like 0.30000000000000004
+export function snapTo(value, step) {
+  if (!(step > 0)) return value;
+  return parseFloat((Math.round(value / step) * step).toPrecision(12));
+}
+
+/**
+ * Snap a time and amplitude. settings: { time: one of SNAP_TIME_MODES,
+ * sampleRate, amplitudeStep (0 for free amplitudes) }. Grid snapping uses the
+ * minor grid of a view `visible` seconds wide.
+ */
+export function snapPosition(time, amplitude, settings, visible) {
+  let step = 0;
+  if (settings.time === 'grid') step = gridStep(visible) / GRID_DIVISIONS;
+  if (settings.time === 'samples') step = 1 / settings.sampleRate;
+  return {
+    time: snapTo(time, step),
+    amplitude: Math.max(-1, Math.min(1, snapTo(amplitude, settings.amplitudeStep)))
+  };
+}
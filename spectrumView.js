@@ -0,0 +1,235 @@
+// spectrumView.js
+// FFT panel under the main canvas: a magnitude spectrum of the selection (or the
+// whole document), or a spectrogram sharing the waveform's time axis, pan and zoom.
+
+import { CONFIG } from './config.js';
+import { averageSpectrum, frameSpectrum } from './dsp.js';
+
+const UPDATE_DELAY = 80; // ms; analysis is throttled while points are dragged
+const MIN_FREQUENCY = 20;
+
+export class SpectrumView {
+  constructor(panel, audioEngine, onLayoutChange) {
+    this.panel = panel;
+    this.canvas = panel.querySelector('canvas');
+    this.ctx = this.canvas.getContext('2d');
+    this.audioEngine = audioEngine;
+    this.onLayoutChange = onLayoutChange;
+    this.mode = 'off';
+    this.pending = null;
+    this.cache = { key: '', samples: null };
+    this.lastArgs = null;
+    window.addEventListener('resize', () => this.onResize());
+  }
+
+  setMode(mode) {
+    this.mode = mode;
+    this.panel.classList.toggle('open', mode !== 'off');
+    // The main canvas gives up (or takes back) the panel's height
+    window.dispatchEvent(new Event('resize'));
+    if (this.onLayoutChange) this.onLayoutChange();
+  }
+
+  onResize() {
+    const rect = this.canvas.parentElement.getBoundingClientRect();
+    this.canvas.width = rect.width;
+    this.canvas.height = rect.height;
+    if (this.lastArgs) this.draw(...this.lastArgs);
+  }
+
+  // Called on every main render; the analysis itself runs at most every UPDATE_DELAY ms
+  requestUpdate(dataModel, renderer) {
+    if (this.mode === 'off') return;
+    this.lastArgs = [dataModel, renderer];
+    if (this.pending) return;
+    this.pending = setTimeout(() => {
+      this.pending = null;
+      this.draw(...this.lastArgs);
+    }, UPDATE_DELAY);
+  }
+
+  /**
+   * Samples of the active channel, re-synthesized only when the document changed.
+   * `pitched` renders a cycle document as its pitched loop, so the spectrum
+   * shows the harmonics that will actually be heard.
+   */
+  samplesFor(dataModel, pitched) {
+    const isCycle = pitched && dataModel.mode === 'cycle';
+    const key = [
+      dataModel.activeChannel,
+      dataModel.interpolation,
+      isCycle ? `${dataModel.duration}@${dataModel.pitch}` : 'oneshot',
+      JSON.stringify(dataModel.points)
+    ].join('|');
+
+    if (key !== this.cache.key) {
+      const options = { interpolation: dataModel.interpolation };
+      let buffer;
+      if (isCycle) {
+        const layout = this.audioEngine.cycleLoopLayout(dataModel.pitch);
+        buffer = this.audioEngine.generateCycle([dataModel.points], dataModel.duration, layout.length, layout.cycles, options);
+      } else {
+        buffer = this.audioEngine.generateBuffer([dataModel.points], dataModel.duration, options);
+      }
+      this.cache = { key, samples: buffer.getChannelData(0) };
+    }
+    return this.cache.samples;
+  }
+
+  draw(dataModel, renderer) {
+    if (this.mode === 'off' || this.canvas.width === 0) return;
+    const { width, height } = this.canvas;
+    this.ctx.fillStyle = CONFIG.COLORS.BG_BOTTOM;
+    this.ctx.fillRect(0, 0, width, height);
+    if (dataModel.points.length === 0) return;
+
+    if (this.mode === 'spectrogram') {
+      this.drawSpectrogram(dataModel, renderer, this.samplesFor(dataModel, false));
+    } else {
+      this.drawSpectrum(dataModel, this.samplesFor(dataModel, true));
+    }
+  }
+
+  // Log-frequency axis from MIN_FREQUENCY to Nyquist
+  frequencyToX(f, nyquist) {
+    const { width } = this.canvas;
+    return (Math.log(f / MIN_FREQUENCY) / Math.log(nyquist / MIN_FREQUENCY)) * width;
+  }
+
+  frequencyToY(f, nyquist) {
+    const { height } = this.canvas;
+    return height - (Math.log(f / MIN_FREQUENCY) / Math.log(nyquist / MIN_FREQUENCY)) * height;
+  }
+
+  dbToY(db) {
+    const { height } = this.canvas;
+    const min = CONFIG.SPECTRUM_MIN_DB;
+    return (Math.max(min, Math.min(0, db)) / min) * height;
+  }
+
+  drawSpectrum(dataModel, samples) {
+    const { width, height } = this.canvas;
+    const sampleRate = this.audioEngine.audioContext.sampleRate;
+    const nyquist = sampleRate / 2;
+    const size = CONFIG.SPECTRUM_FFT_SIZE;
+
+    // A pitched cycle is steady, so the selection does not narrow it down
+    const range = dataModel.mode === 'cycle' ? null : dataModel.selectionRange();
+    const start = range ? Math.floor(range.start * sampleRate) : 0;
+    const end = range ? Math.ceil(range.end * sampleRate) : samples.length;
+    const bins = averageSpectrum(samples, start, Math.min(end, samples.length), size);
+
+    // Grid: decades and 20 dB steps
+    this.ctx.strokeStyle = CONFIG.COLORS.GRID_MINOR;
+    this.ctx.fillStyle = CONFIG.COLORS.GRID_LABELS;
+    this.ctx.font = '10px monospace';
+    this.ctx.lineWidth = 1;
+    this.ctx.beginPath();
+    [50, 100, 200, 500, 1000, 2000, 5000, 10000, 20000].filter(f => f < nyquist).forEach(f => {
+      const x = this.frequencyToX(f, nyquist);
+      this.ctx.moveTo(x, 0);
+      this.ctx.lineTo(x, height);
+      this.ctx.fillText(f >= 1000 ? `${f / 1000}k` : `${f}`, x + 2, height - 3);
+    });
+    for (let db = 0; db > CONFIG.SPECTRUM_MIN_DB; db -= 20) {
+      const y = this.dbToY(db);
+      this.ctx.moveTo(0, y);
+      this.ctx.lineTo(width, y);
+      this.ctx.fillText(`${db} dB`, 2, y + 10);
+    }
+    this.ctx.stroke();
+
+    // Keep the loudest bin per pixel column so narrow harmonics stay visible
+    const binWidth = sampleRate / size;
+    const columns = new Float32Array(width).fill(-Infinity);
+    for (let k = 1; k < bins.length; k++) {
+      const f = k * binWidth;
+      if (f < MIN_FREQUENCY) continue;
+      const x = Math.floor(this.frequencyToX(f, nyquist));
+      if (x >= 0 && x < width && bins[k] > columns[x]) columns[x] = bins[k];
+    }
+
+    this.ctx.strokeStyle = CONFIG.COLORS.SPECTRUM;
+    this.ctx.lineWidth = 1.2;
+    this.ctx.beginPath();
+    let started = false;
+    for (let x = 0; x < width; x++) {
+      if (columns[x] === -Infinity) continue;
+      const y = this.dbToY(columns[x]);
+      if (started) {
+        this.ctx.lineTo(x, y);
+      } else {
+        this.ctx.moveTo(x, y);
+        started = true;
+      }
+    }
+    this.ctx.stroke();
+
+    this.ctx.fillStyle = CONFIG.COLORS.GRID_LABELS;
+    const source = dataModel.mode === 'cycle' ? `Cycle at ${dataModel.pitch} Hz` : range ? 'Selection' : 'Whole document';
+    this.ctx.fillText(source, width - 130, 12);
+  }
+
+  drawSpectrogram(dataModel, renderer, samples) {
+    const { width, height } = this.canvas;
+    const sampleRate = this.audioEngine.audioContext.sampleRate;
+    const nyquist = sampleRate / 2;
+    const size = CONFIG.SPECTROGRAM_FFT_SIZE;
+    const columnWidth = 2;
+    const scaleX = renderer.canvas.width / width;
+    const image = this.ctx.createImageData(width, height);
+
+    // Frequency bin for every row, log-spaced like the spectrum view
+    const rowBins = new Int32Array(height);
+    for (let y = 0; y < height; y++) {
+      const f = MIN_FREQUENCY * Math.pow(nyquist / MIN_FREQUENCY, 1 - y / height);
+      rowBins[y] = Math.min(size / 2 - 1, Math.round((f * size) / sampleRate));
+    }
+
+    for (let x = 0; x < width; x += columnWidth) {
+      const t = renderer.xToTime(dataModel, x * scaleX);
+      const center = Math.round(t * sampleRate);
+      if (center < 0 || center >= samples.length) continue;
+      const bins = frameSpectrum(samples, center - size / 2, size);
+
+      for (let y = 0; y < height; y++) {
+        const level = 1 - Math.max(0, Math.min(1, bins[rowBins[y]] / CONFIG.SPECTRUM_MIN_DB));
+        const [r, g, b] = heatColor(level);
+        for (let dx = 0; dx < columnWidth && x + dx < width; dx++) {
+          const i = (y * width + x + dx) * 4;
+          image.data[i] = r;
+          image.data[i + 1] = g;
+          image.data[i + 2] = b;
+          image.data[i + 3] = 255;
+        }
+      }
+    }
+    this.ctx.putImageData(image, 0, 0);
+
+    this.ctx.fillStyle = CONFIG.COLORS.GRID_LABELS;
+    this.ctx.font = '10px monospace';
+    [100, 1000, 10000].filter(f => f < nyquist).forEach(f => {
+      this.ctx.fillText(f >= 1000 ? `${f / 1000}k` : `${f}`, 2, this.frequencyToY(f, nyquist) - 2);
+    });
+  }
+}
+
+// Dark blue → cyan → yellow → white for levels 0..1
+function heatColor(level) {
+  const stops = [
+    [0, [10, 10, 10]],
+    [0.35, [20, 40, 140]],
+    [0.6, [0, 200, 210]],
+    [0.85, [255, 210, 0]],
+    [1, [255, 255, 255]]
+  ];
+  for (let i = 1; i < stops.length; i++) {
+    const [end, to] = stops[i];
+    const [start, from] = stops[i - 1];
+    if (level <= end) {
+      const t = (level - start) / (end - start);
+      return from.map((c, j) => Math.round(c + (to[j] - c) * t));
+    }
+  }
+  return stops[stops.length - 1][1];
+}
@@ -0,0 +1,66 @@
+// synthesis.js
+// Point lists to samples in one forward sweep. Shared by AudioEngine and its
+// worker, so no DOM and no audio context here.
+// -----------------------------------------------------------
+
+import { curveSweep, lowerBound, periodicPoints } from './interpolation.js';
+
+/**
+ * Fill `data` with the curve sampled at `sampleRate`, starting at sample
+ * `firstSample` of the document (so a dirty span can be rendered on its own).
+ */
+export function renderPoints(points, data, sampleRate, interpolation, firstSample = 0) {
+  const valueAt = curveSweep(points, interpolation);
+  for (let i = 0; i < data.length; i++) {
+    data[i] = valueAt((firstSample + i) / sampleRate);
+  }
+}
+
+/**
+ * Fill `data` with `cycles` periods of the points between 0 and `duration`.
+ */
+export function renderCycle(points, duration, data, cycles, interpolation) {
+  const valueAt = curveSweep(periodicPoints(points, duration), interpolation);
+  for (let i = 0; i < data.length; i++) {
+    const phase = ((i * cycles) / data.length) % 1;
+    data[i] = valueAt(phase * duration);
+  }
+}
+
+/**
+ * The points a span of samples depends on: everything between start and end
+ * seconds plus two neighbours each side, which cubic and Bezier tangents read.
+ */
+export function pointsAround(points, start, end) {
+  const from = Math.max(0, lowerBound(points, start) - 2);
+  const to = Math.min(points.length, lowerBound(points, end) + 3);
+  return points.slice(from, to);
+}
+
+// Points as typed arrays plus the few per-point settings, for cheap transfer to a worker
+export function packPoints(points) {
+  const times = new Float64Array(points.length);
+  const amplitudes = new Float64Array(points.length);
+  const extras = [];
+  points.forEach((p, i) => {
+    times[i] = p.time;
+    amplitudes[i] = p.amplitude;
+    if (p.interpolation || p.handleIn || p.handleOut) {
+      extras.push([i, { interpolation: p.interpolation, handleIn: p.handleIn, handleOut: p.handleOut }]);
+    }
+  });
+  return { times, amplitudes, extras };
+}
+
+export function unpackPoints({ times, amplitudes, extras }) {
+  const points = new Array(times.length);
+  for (let i = 0; i < times.length; i++) {
+    points[i] = { time: times[i], amplitude: amplitudes[i] };
+  }
+  extras.forEach(([i, settings]) => {
+    Object.entries(settings).forEach(([key, value]) => {
+      if (value !== undefined) points[i][key] = value;
+    });
+  });
+  return points;
+}
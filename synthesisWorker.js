@@ -0,0 +1,17 @@
+// synthesisWorker.js
+// Module worker for AudioEngine: renders long spans off the main thread.
+// Request: { id, packed, sampleRate, interpolation, firstSample, length }
+// Reply:   { id, data } (transferred) or { id, error }
+
+import { renderPoints, unpackPoints } from './synthesis.js';
+
+self.onmessage = e => {
+  const { id, packed, sampleRate, interpolation, firstSample, length } = e.data;
+  try {
+    const data = new Float32Array(length);
+    renderPoints(unpackPoints(packed), data, sampleRate, interpolation, firstSample);
+    self.postMessage({ id, data }, [data.buffer]);
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
@@ -0,0 +1,127 @@
+// transforms.js
+// Whole-selection edits: reverse, invert, normalize, stretch, amplitude scale,
+// DC removal and mirroring. Pure functions on point lists sorted by time —
+// each returns new point states (see history.js pointState) in the same order
+// and leaves the range limits to the DataModel.
+// -----------------------------------------------------------
+
+export const NORMALIZE_MODES = ['peak', 'rms'];
+
+function copyHandle(handle, dtFactor = 1, daFactor = 1) {
+  return handle && { dt: handle.dt * dtFactor, da: handle.da * daFactor };
+}
+
+function state(p, changes) {
+  return {
+    time: p.time,
+    amplitude: p.amplitude,
+    interpolation: p.interpolation,
+    handleIn: p.handleIn,
+    handleOut: p.handleOut,
+    ...changes
+  };
+}
+
+/**
+ * Level of the points read as a linear curve: { peak, mean, rms }. Mean and
+ * RMS are weighted by time, so dense and sparse stretches count alike; points
+ * that share one time fall back to plain averages.
+ */
+export function levels(points) {
+  const peak = points.reduce((max, p) => Math.max(max, Math.abs(p.amplitude)), 0);
+  const span = points.length > 1 ? points[points.length - 1].time - points[0].time : 0;
+  if (!(span > 0)) {
+    const n = points.length || 1;
+    return {
+      peak,
+      mean: points.reduce((sum, p) => sum + p.amplitude, 0) / n,
+      rms: Math.sqrt(points.reduce((sum, p) => sum + p.amplitude * p.amplitude, 0) / n)
+    };
+  }
+  let sum = 0;
+  let squares = 0;
+  for (let i = 0; i < points.length - 1; i++) {
+    const a0 = points[i].amplitude;
+    const a1 = points[i + 1].amplitude;
+    const h = points[i + 1].time - points[i].time;
+    sum += (h * (a0 + a1)) / 2;
+    squares += (h * (a0 * a0 + a0 * a1 + a1 * a1)) / 3;
+  }
+  return { peak, mean: sum / span, rms: Math.sqrt(squares / span) };
+}
+
+/**
+ * Play the points backwards over the span they cover. Handles swap sides, and
+ * each segment's interpolation moves to the point that now starts it; the
+ * last point keeps the mode of the segment leaving the span.
+ */
+export function reverse(points) {
+  if (points.length === 0) return [];
+  const start = points[0].time;
+  const end = points[points.length - 1].time;
+  return points.map((p, i) => state(p, {
+    time: start + end - p.time,
+    interpolation: points[(i + points.length - 1) % points.length].interpolation,
+    handleIn: copyHandle(p.handleOut, -1),
+    handleOut: copyHandle(p.handleIn, -1)
+  }));
+}
+
+// Flip polarity
+export function invert(points) {
+  return scaleAmplitude(points, -1, 0);
+}
+
+// Scale amplitudes away from `anchor`; handles scale with them
+export function scaleAmplitude(points, factor, anchor = 0) {
+  return points.map(p => state(p, {
+    amplitude: anchor + (p.amplitude - anchor) * factor,
+    handleIn: copyHandle(p.handleIn, 1, factor),
+    handleOut: copyHandle(p.handleOut, 1, factor)
+  }));
+}
+
+// Scale to a target peak or RMS level (see levels()); silence is left alone
+export function normalize(points, target = 1, mode = 'peak') {
+  const level = levels(points)[mode === 'rms' ? 'rms' : 'peak'];
+  return level > 0 ? scaleAmplitude(points, target / level, 0) : points.map(p => state(p));
+}
+
+// Shift amplitudes so the mean level (see levels()) is zero
+export function removeDC(points) {
+  const { mean } = levels(points);
+  return points.map(p => state(p, { amplitude: p.amplitude - mean }));
+}
+
+// Stretch (factor > 1) or compress times away from `anchor`; handles scale with them
+export function stretch(points, factor, anchor = 0) {
+  return points.map(p => state(p, {
+    time: anchor + (p.time - anchor) * factor,
+    handleIn: copyHandle(p.handleIn, factor),
+    handleOut: copyHandle(p.handleOut, factor)
+  }));
+}
+
+/**
+ * New points that reflect the shape after its last point, so the span
+ * becomes symmetric around it. With `invert` the copy is also flipped about
+ * the last point's amplitude (odd symmetry, as in the second half of a cycle).
+ * The last point itself is not copied.
+ */
+export function mirror(points, { invert: flip = false } = {}) {
+  if (points.length < 2) return [];
+  const pivot = points[points.length - 1];
+  const sign = flip ? -1 : 1;
+  const reflected = points.slice(0, -1).map((p, i) => ({
+    time: 2 * pivot.time - p.time,
+    amplitude: flip ? 2 * pivot.amplitude - p.amplitude : p.amplitude,
+    // The reflected segment i runs from copy i + 1 to copy i
+    interpolation: points[i - 1] ? points[i - 1].interpolation : pivot.interpolation,
+    handleIn: copyHandle(p.handleOut, -1, sign),
+    handleOut: copyHandle(p.handleIn, -1, sign)
+  }));
+  return reflected.reverse().map(p => {
+    Object.keys(p).forEach(key => p[key] === undefined && delete p[key]);
+    return p;
+  });
+}
@@ -1,127 +1,927 @@
 import { InteractionHandler } from './interaction.js';
 import { FileIO } from './fileIO.js';
 import { AudioEngine } from './audioEngine.js';
+import { WAVEFORM_SHAPES, generatePoints } from './generators.js';
+import { EFFECT_TYPES } from './effects.js';
+import { simplifyPoints, reconstructionError } from './simplify.js';
+import { CONFIG } from './config.js';
+import { escapeHtml } from './html.js';
+import { PROJECT_EXTENSION, restoreProject, serializeProject } from './projectFormat.js';
+import { WAV_FORMATS } from './wavCodec.js';
+import { RESAMPLE_QUALITIES } from './dsp.js';
+import { Inspector } from './inspector.js';
+import { MarkersPanel } from './markersPanel.js';
+import { Autosave } from './autosave.js';
+import { LibraryPanel } from './libraryPanel.js';
+
+// Target rates offered on export, besides the document's own
+const EXPORT_SAMPLE_RATES = [22050, 32000, 44100, 48000, 88200, 96000, 192000];
 
 export class UI {
   constructor(dataModel, audioEngine, onRender) {
     this.dataModel = dataModel;
     this.audioEngine = audioEngine;
     this.onRender = onRender;
+    this.playheadFrame = null;
+    this.exporters = [];
+    this.sidebars = {}; // built-in sidebars by name, for the view commands
+
+    // The engine reads the live document at every loop pass
+    this.audioEngine.setSource(() => this.documentSource());
+    this.audioEngine.onTransportChange = () => this.onTransportChange();
+
     this.setupButtons();
     this.setupModals();
+    this.setupEffectsRack();
+    this.setupHistoryPanel();
+    this.setupInspector();
+    this.setupMarkersPanel();
+    this.updateTransportControls();
+    this.subscribe();
+  }
+
+  documentSource() {
+    return {
+      channels: this.dataModel.channels.map(c => c.points),
+      audible: this.dataModel.audibleChannels(),
+      duration: this.dataModel.duration,
+      interpolation: this.dataModel.interpolation,
+      mode: this.dataModel.mode,
+      pitch: this.dataModel.pitch,
+      loop: this.dataModel.loopEnabled ? this.dataModel.loopRegion || { start: 0, end: Infinity } : null,
+      effects: this.dataModel.effects,
+      revision: this.dataModel.revision,
+      changes: this.dataModel.changes
+    };
+  }
+
+  // Panels and controls that mirror document state follow the store's events
+  subscribe() {
+    const model = this.dataModel;
+    model.on('effects-changed', () => this.renderEffectsRack());
+    model.on('history-changed', () => this.renderHistoryPanel());
+    model.on('settings-changed', () => this.syncControls());
+    model.on('loop-changed', () => this.updateTransportControls());
+    model.on('snap-changed', () => this.syncSnapControls());
+    model.on('view-changed', () => this.syncAmplitudeScale());
+    model.on('document-loaded', () => {
+      this.renderEffectsRack();
+      this.renderHistoryPanel();
+      this.syncControls();
+      this.syncAmplitudeScale();
+    });
   }
 
   setupButtons() {
-    // Play button
+    // Transport buttons
     const playBtn = document.getElementById('playBtn');
     if (playBtn) {
-      playBtn.addEventListener('click', () => {
-        this.audioEngine.play(this.dataModel.points, this.dataModel.duration);
+      playBtn.addEventListener('click', () => this.togglePlay());
+    }
+
+    const stopBtn = document.getElementById('stopBtn');
+    if (stopBtn) {
+      stopBtn.addEventListener('click', () => this.audioEngine.stop());
+    }
+
+    const loopBtn = document.getElementById('loopBtn');
+    if (loopBtn) {
+      loopBtn.addEventListener('click', () => {
+        this.dataModel.setLoop(this.dataModel.loopRegion, !this.dataModel.loopEnabled);
       });
     }
 
-    // Export button
+    // Project and audio files
     const exportBtn = document.getElementById('exportBtn');
     if (exportBtn) {
-      exportBtn.addEventListener('click', () => {
-        FileIO.exportToJSON(this.dataModel.points);
-      });
+      exportBtn.addEventListener('click', () => this.saveProject());
     }
 
-    // Load button
     const loadBtn = document.getElementById('loadBtn');
     if (loadBtn) {
-      loadBtn.addEventListener('click', () => {
-        const input = document.createElement('input');
-        input.type = 'file';
-        input.accept = '.json';
-        input.addEventListener('change', async e => {
-          const file = e.target.files[0];
-          if (file) {
-            try {
-              const points = await FileIO.loadFromJSON(file);
-              this.dataModel.loadPoints(points);
-              this.onRender();
-            } catch (error) {
-              console.error('Error loading JSON:', error);
-            }
-          }
-        });
-        input.click();
-      });
+      loadBtn.addEventListener('click', () => this.openProject());
     }
 
-    // Import button
     const importBtn = document.getElementById('importBtn');
     if (importBtn) {
-      importBtn.addEventListener('click', () => {
-        const input = document.createElement('input');
-        input.type = 'file';
-        input.accept = '.wav, .mp3';
-        input.addEventListener('change', async e => {
-          const file = e.target.files[0];
-          if (file) {
-            this.showLoadingBar();
-            try {
-              const points = await FileIO.loadAudio(file);
-              this.dataModel.loadPoints(points);
-              this.onRender();
-            } catch (error) {
-              console.error('Error loading audio:', error);
-            } finally {
-              this.hideLoadingBar();
-            }
-          }
-        });
-        input.click();
+      importBtn.addEventListener('click', () => this.importAudio());
+    }
+
+    // Channels
+    const addChannelBtn = document.getElementById('addChannelBtn');
+    if (addChannelBtn) {
+      addChannelBtn.addEventListener('click', () => this.dataModel.addChannel());
+    }
+
+    const removeChannelBtn = document.getElementById('removeChannelBtn');
+    if (removeChannelBtn) {
+      removeChannelBtn.addEventListener('click', () => this.dataModel.removeChannel());
+    }
+
+    // Default interpolation for segments without their own override
+    const interpolationSelect = document.getElementById('interpolationSelect');
+    if (interpolationSelect) {
+      interpolationSelect.value = this.dataModel.interpolation;
+      interpolationSelect.addEventListener('change', () => {
+        this.dataModel.setSettings({ interpolation: interpolationSelect.value });
+      });
+    }
+
+    // Document mode: one-shot or single-cycle wavetable
+    const modeSelect = document.getElementById('modeSelect');
+    const pitchInput = document.getElementById('pitchInput');
+    if (modeSelect) {
+      modeSelect.value = this.dataModel.mode;
+      modeSelect.addEventListener('change', () => {
+        this.audioEngine.stop();
+        this.dataModel.setSettings({ mode: modeSelect.value });
+        if (this.dataModel.mode !== 'cycle') {
+          const visible = this.dataModel.duration / this.dataModel.zoom;
+          this.dataModel.setView({ pan: Math.max(0, Math.min(this.dataModel.duration - visible, this.dataModel.pan)) });
+        }
+      });
+    }
+    if (pitchInput) {
+      pitchInput.value = this.dataModel.pitch;
+      pitchInput.addEventListener('change', () => {
+        const pitch = parseFloat(pitchInput.value);
+        if (!(pitch > 0)) {
+          pitchInput.value = this.dataModel.pitch;
+          return;
+        }
+        this.dataModel.setSettings({ pitch });
       });
     }
+    this.updateModeControls();
+    this.setupSnapControls();
+
+    // Generator panel
+    const generateBtn = document.getElementById('generateBtn');
+    if (generateBtn) {
+      generateBtn.addEventListener('click', () => this.openGeneratorModal());
+    }
+
+    // Simplify the selection (or the whole active channel)
+    const simplifyBtn = document.getElementById('simplifyBtn');
+    if (simplifyBtn) {
+      simplifyBtn.addEventListener('click', () => this.openSimplifySelection());
+    }
 
     // Export audio button
     const exportAudioBtn = document.getElementById('exportAudioBtn');
     if (exportAudioBtn) {
-      exportAudioBtn.addEventListener('click', () => {
-        this.exportModal.style.display = 'flex';
+      exportAudioBtn.addEventListener('click', () => this.openExportModal());
+    }
+  }
+
+  saveProject() {
+    FileIO.exportProject(this.snapshot());
+    if (this.autosave) this.autosave.markSaved();
+  }
+
+  snapshot() {
+    return serializeProject(this.dataModel, this.audioEngine.audioContext.sampleRate);
+  }
+
+  /**
+   * Autosave and the project library, both kept in `store` (see
+   * projectStore.js); `renderer` draws the library thumbnails. Offers to
+   * recover work a previous session left unsaved before autosaving starts.
+   */
+  async setupLibrary(store, renderer) {
+    this.autosave = new Autosave(this.dataModel, store, () => this.snapshot());
+    const panel = this.createSidebar({ title: 'Library', className: 'sidebar-right inspector-panel', button: document.getElementById('libraryBtn') });
+    this.sidebars.library = panel;
+    this.library = new LibraryPanel(this.dataModel, panel.body, {
+      store,
+      autosave: this.autosave,
+      snapshot: () => this.snapshot(),
+      thumbnail: (width, height) => renderer.thumbnail(this.dataModel, width, height),
+      load: project => {
+        this.audioEngine.stop();
+        this.dataModel.loadProject(project);
+      }
+    });
+
+    const pending = await this.autosave.pendingRecovery();
+    let recovered = false;
+    if (pending) {
+      const from = pending.name ? ` in "${pending.name}"` : '';
+      if (confirm(`Recover unsaved work${from} from ${new Date(pending.savedAt).toLocaleString()}?`)) {
+        try {
+          this.dataModel.loadProject(restoreProject(pending.project, this.dataModel.projectDefaults()));
+          recovered = true;
+        } catch (error) {
+          console.error('Could not recover the autosaved document:', error);
+          alert(`The autosaved document could not be recovered: ${error.message}`);
+        }
+      }
+    }
+    this.autosave.start();
+    if (recovered) {
+      // Still unsaved, and still a draft of the library project it came from
+      this.autosave.libraryEntry = pending.libraryId ? { id: pending.libraryId, name: pending.name } : null;
+      this.autosave.dirty = true;
+      this.library.render();
+    } else if (pending) {
+      this.autosave.discard();
+    }
+  }
+
+  // Ask for a file, then hand it to onFile
+  chooseFile(accept, onFile) {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = accept;
+    input.addEventListener('change', e => {
+      const file = e.target.files[0];
+      if (file) onFile(file);
+    });
+    input.click();
+  }
+
+  openProject() {
+    this.chooseFile(`${PROJECT_EXTENSION}, .json`, async file => {
+      try {
+        // Nothing is touched unless the whole file checks out
+        const project = await FileIO.loadProject(file, this.dataModel.projectDefaults());
+        this.audioEngine.stop();
+        this.dataModel.loadProject(project);
+      } catch (error) {
+        console.error('Error loading project:', error);
+        alert(`Could not open ${file.name}: ${error.message}`);
+      }
+    });
+  }
+
+  importAudio() {
+    this.chooseFile('.wav, .mp3', async file => {
+      this.showLoadingBar();
+      try {
+        const { channels, sampleRate, cues } = await FileIO.loadAudio(file);
+        const names = FileIO.channelNames(channels.length);
+        this.openSimplifyModal({
+          title: 'Import Audio',
+          sources: channels,
+          applyLabel: 'Import vectorized',
+          onApply: simplified => this.dataModel.loadChannels(simplified, names, sampleRate, cues),
+          onRaw: () => this.dataModel.loadChannels(channels, names, sampleRate, cues)
+        });
+      } catch (error) {
+        console.error('Error loading audio:', error);
+        alert(`Could not import ${file.name}: ${error.message}`);
+      } finally {
+        this.hideLoadingBar();
+      }
+    });
+  }
+
+  // Document, transport and panel commands (see commands.js)
+  registerCommands(commands) {
+    const model = this.dataModel;
+    const toggle = name => () => this.sidebars[name].toggle();
+    [
+      { id: 'transport.play', title: 'Play / pause', keys: ['Space'], run: () => this.togglePlay() },
+      { id: 'transport.stop', title: 'Stop', run: () => this.audioEngine.stop() },
+      { id: 'transport.loop', title: 'Toggle looping', run: () => model.setLoop(model.loopRegion, !model.loopEnabled) },
+      { id: 'file.save', title: 'Save project', keys: ['Mod+S'], run: () => this.saveProject() },
+      { id: 'file.open', title: 'Open project', keys: ['Mod+O'], run: () => this.openProject() },
+      { id: 'file.importAudio', title: 'Import audio', run: () => this.importAudio() },
+      { id: 'file.exportAudio', title: 'Export audio', keys: ['Mod+Shift+E'], run: () => this.openExportModal() },
+      { id: 'edit.generate', title: 'Generate waveform', run: () => this.openGeneratorModal() },
+      { id: 'edit.simplify', title: 'Simplify selection', run: () => this.openSimplifySelection() },
+      { id: 'channel.add', title: 'Add channel', run: () => model.addChannel() },
+      { id: 'channel.remove', title: 'Remove active channel', run: () => model.removeChannel() },
+      { id: 'view.effects', title: 'Toggle effects rack', run: toggle('effects') },
+      { id: 'view.history', title: 'Toggle undo history', run: toggle('history') },
+      { id: 'view.inspector', title: 'Toggle inspector', keys: ['I'], run: toggle('inspector') },
+      // These need a factor, so they open the inspector at its field
+      { id: 'transform.stretch', title: 'Stretch time', run: () => this.editInspectorOption('stretchFactor') },
+      { id: 'transform.scaleAmplitude', title: 'Scale amplitude', run: () => this.editInspectorOption('scaleFactor') },
+      { id: 'view.markers', title: 'Toggle markers and regions', run: toggle('markers') },
+      { id: 'view.library', title: 'Toggle project library', run: toggle('library') },
+      { id: 'file.saveToLibrary', title: 'Save to project library', keys: ['Mod+Shift+S'], run: () => this.library.runAction('save') },
+      { id: 'marker.add', title: 'Add marker at cursor', keys: ['M'], run: () => model.addMarker() },
+      {
+        id: 'marker.addRegion',
+        title: 'Add region from selection or loop',
+        keys: ['Shift+M'],
+        run: () => {
+          const range = model.selectionRange() || model.loopRegion;
+          if (range) model.addRegion(range.start, range.end);
+        }
+      }
+    ].forEach(command => commands.register(command));
+  }
+
+  /**
+   * Add a button to the floating bar (before the document settings).
+   * Returns the button; plugins use this through PluginHost.
+   */
+  addBarButton({ id, label, title = label, onClick }) {
+    const button = document.createElement('button');
+    button.className = 'icon-button';
+    button.id = id;
+    button.title = title;
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    const bar = document.querySelector('.bar-content');
+    bar.insertBefore(button, document.getElementById('interpolationSelect'));
+    return button;
+  }
+
+  /**
+   * A sidebar that `button` toggles. Returns { element, body, toggle(),
+   * open(), remove() }; the panel's content goes in `body`. `onToggle(open)`
+   * hears it open and close.
+   */
+  createSidebar({ title, className, button = null, onToggle = null }) {
+    const element = document.createElement('div');
+    element.className = `sidebar ${className}`;
+    element.innerHTML = `
+      <div class="sidebar-header">
+        <span class="close-sidebar">&times;</span>
+        <h2>${escapeHtml(title)}</h2>
+      </div>
+      <div class="sidebar-body"></div>
+    `;
+    document.body.appendChild(element);
+
+    const setOpen = open => {
+      element.classList.toggle('open', open);
+      if (button) button.classList.toggle('active', open);
+      if (onToggle) onToggle(open);
+    };
+    const toggle = () => setOpen(!element.classList.contains('open'));
+    element.querySelector('.close-sidebar').addEventListener('click', () => setOpen(false));
+    if (button) button.addEventListener('click', toggle);
+    return { element, body: element.querySelector('.sidebar-body'), toggle, open: () => setOpen(true), remove: () => element.remove() };
+  }
+
+  // A right-hand sidebar with its own bar button, for plugin panels
+  addPanel({ id, title, label = title }) {
+    const button = this.addBarButton({ id: `${id}-button`, label, title, onClick: () => {} });
+    const panel = this.createSidebar({ title, className: 'sidebar-right plugin-panel', button });
+    return {
+      ...panel,
+      remove: () => {
+        panel.remove();
+        button.remove();
+      }
+    };
+  }
+
+  /**
+   * Offer a format in the Export dialog. exporter: { id, label, extension,
+   * audio = true, export({ buffer, dataModel, options }) -> Blob or Promise<Blob> }.
+   * `buffer` is the rendered document (every channel, effects applied), or
+   * null for exporters with audio: false that work from the points.
+   * `options` are the dialog's WAV settings: { format, sampleRate, quality }.
+   */
+  addExporter(exporter) {
+    this.removeExporter(exporter.id);
+    this.exporters.push({ audio: true, ...exporter });
+    this.renderExportOptions();
+  }
+
+  removeExporter(id) {
+    this.exporters = this.exporters.filter(e => e.id !== id);
+    this.renderExportOptions();
+  }
+
+  // Snap settings live on the DataModel; the bar only edits and mirrors them
+  setupSnapControls() {
+    const snapSelect = document.getElementById('snapSelect');
+    if (snapSelect) {
+      snapSelect.addEventListener('change', () => this.dataModel.setSnap({ time: snapSelect.value }));
+    }
+    const snapRateInput = document.getElementById('snapRateInput');
+    if (snapRateInput) {
+      snapRateInput.addEventListener('change', () => {
+        const rate = parseFloat(snapRateInput.value);
+        if (rate > 0) this.dataModel.setSnap({ sampleRate: rate });
+        else this.syncSnapControls();
       });
     }
+    const amplitudeSnapSelect = document.getElementById('amplitudeSnapSelect');
+    if (amplitudeSnapSelect) {
+      amplitudeSnapSelect.addEventListener('change', () => this.dataModel.setSnap({ amplitudeStep: parseFloat(amplitudeSnapSelect.value) }));
+    }
+    const quantizeBtn = document.getElementById('quantizeBtn');
+    if (quantizeBtn) {
+      quantizeBtn.addEventListener('click', () => this.dataModel.quantizeSelection());
+    }
+    this.syncSnapControls();
+
+    const scaleSelect = document.getElementById('amplitudeScaleSelect');
+    if (scaleSelect) {
+      scaleSelect.addEventListener('change', () => this.dataModel.setAmplitudeScale(scaleSelect.value));
+    }
+    this.syncAmplitudeScale();
+  }
+
+  syncAmplitudeScale() {
+    const scaleSelect = document.getElementById('amplitudeScaleSelect');
+    if (scaleSelect) scaleSelect.value = this.dataModel.amplitudeScale;
+  }
+
+  syncSnapControls() {
+    const { snap } = this.dataModel;
+    const snapSelect = document.getElementById('snapSelect');
+    if (snapSelect) snapSelect.value = snap.time;
+    const snapRateInput = document.getElementById('snapRateInput');
+    if (snapRateInput) {
+      snapRateInput.value = snap.sampleRate;
+      snapRateInput.style.display = snap.time === 'samples' ? '' : 'none';
+    }
+    const amplitudeSnapSelect = document.getElementById('amplitudeSnapSelect');
+    if (amplitudeSnapSelect) amplitudeSnapSelect.value = String(snap.amplitudeStep);
+  }
+
+  // Space and the Play button: play from the cursor, pause, resume
+  togglePlay() {
+    if (this.audioEngine.isPlaying) {
+      this.audioEngine.pause();
+    } else if (this.audioEngine.isPaused) {
+      this.audioEngine.resume();
+    } else {
+      this.audioEngine.play(this.dataModel.cursor);
+    }
+  }
+
+  onTransportChange() {
+    this.updateTransportControls();
+    if (this.audioEngine.isPlaying && this.playheadFrame === null) {
+      this.playheadFrame = requestAnimationFrame(() => this.animatePlayhead());
+    }
+    this.onRender();
+  }
+
+  updateTransportControls() {
+    const playBtn = document.getElementById('playBtn');
+    if (playBtn) {
+      playBtn.classList.toggle('active', this.audioEngine.isPlaying);
+      playBtn.title = this.audioEngine.isPlaying ? 'Pause' : 'Play';
+    }
+    const loopBtn = document.getElementById('loopBtn');
+    if (loopBtn) loopBtn.classList.toggle('active', this.dataModel.loopEnabled);
+  }
+
+  animatePlayhead() {
+    if (!this.audioEngine.isPlaying) {
+      this.playheadFrame = null;
+      return;
+    }
+    this.followPlayhead(this.audioEngine.getPosition());
+    this.onRender();
+    this.playheadFrame = requestAnimationFrame(() => this.animatePlayhead());
+  }
+
+  // Page the view along when the playhead leaves it (one-shot only; a cycle stays in view)
+  followPlayhead(position) {
+    if (position === null || this.dataModel.mode === 'cycle') return;
+    const visible = this.dataModel.duration / this.dataModel.zoom;
+    const { pan } = this.dataModel;
+    if (position < pan || position > pan + visible * 0.95) {
+      this.dataModel.setView({ pan: Math.max(0, Math.min(this.dataModel.duration - visible, position - visible * 0.05)) });
+    }
+  }
+
+  // Bar controls that mirror document settings, after a load replaced them
+  syncControls() {
+    const interpolationSelect = document.getElementById('interpolationSelect');
+    if (interpolationSelect) interpolationSelect.value = this.dataModel.interpolation;
+    const modeSelect = document.getElementById('modeSelect');
+    if (modeSelect) modeSelect.value = this.dataModel.mode;
+    const pitchInput = document.getElementById('pitchInput');
+    if (pitchInput) pitchInput.value = this.dataModel.pitch;
+    this.updateModeControls();
+    this.updateTransportControls();
+  }
+
+  updateModeControls() {
+    const pitchInput = document.getElementById('pitchInput');
+    if (pitchInput) pitchInput.style.display = this.dataModel.mode === 'cycle' ? '' : 'none';
   }
 
   setupModals() {
-    // Export modal
+    this.setupGeneratorModal();
+    this.setupSimplifyModal();
+
+    // Export modal: one button per registered exporter
     this.exportModal = document.createElement('div');
     this.exportModal.className = 'export-modal';
     this.exportModal.innerHTML = `
       <div class="export-modal-content">
-        <h3>Export Audio</h3>
-        <button class="export-option" data-format="wav">WAV</button>
-        <button class="export-option" data-format="mp3">MP3 (320kbps)</button>
+        <h3>Export</h3>
+        <label class="modal-field">WAV format
+          <select name="format">${Object.entries(WAV_FORMATS).map(([key, f]) => `<option value="${key}">${f.label}</option>`).join('')}</select>
+        </label>
+        <label class="modal-field">WAV sample rate
+          <select name="sampleRate"></select>
+        </label>
+        <label class="modal-field">Resampling
+          <select name="quality">${Object.keys(RESAMPLE_QUALITIES).map(q => `<option value="${q}">${q}</option>`).join('')}</select>
+        </label>
+        <div data-role="options"></div>
         <button class="export-cancel">Cancel</button>
       </div>
     `;
     document.body.appendChild(this.exportModal);
 
+    this.exportModal.querySelector('[name="format"]').value = CONFIG.EXPORT_WAV_FORMAT;
+    this.exportModal.querySelector('[name="quality"]').value = CONFIG.RESAMPLE_QUALITY;
     this.exportModal.querySelector('.export-cancel').addEventListener('click', () => {
       this.exportModal.style.display = 'none';
     });
+    this.exportModal.querySelector('[data-role="options"]').addEventListener('click', e => {
+      const button = e.target.closest('button[data-id]');
+      if (!button) return;
+      this.exportModal.style.display = 'none';
+      this.runExporter(this.exporters.find(exporter => exporter.id === button.dataset.id));
+    });
 
-    this.exportModal.querySelectorAll('.export-option').forEach(button => {
-      button.addEventListener('click', async () => {
-        const format = button.dataset.format;
-        this.exportModal.style.display = 'none';
+    this.addExporter({
+      id: 'wav',
+      label: 'WAV',
+      extension: '.wav',
+      export: ({ buffer, options }) => FileIO.wavBlob(buffer, { ...options, cues: this.exportCues(buffer) })
+    });
+    this.addExporter({
+      id: 'mp3',
+      label: `MP3 (${CONFIG.AUDIO_EXPORT_BITRATE}kbps)`,
+      extension: '.mp3',
+      export: ({ buffer }) => FileIO.mp3Blob(buffer)
+    });
+  }
 
-        try {
-          const buffer = this.audioEngine.generateBuffer(this.dataModel.points, this.dataModel.duration);
+  // The sample rate list leads with the document's own rate, which can change between exports
+  openExportModal() {
+    const select = this.exportModal.querySelector('[name="sampleRate"]');
+    const current = select.value || (CONFIG.EXPORT_SAMPLE_RATE ? String(CONFIG.EXPORT_SAMPLE_RATE) : '');
+    const documentRate = this.dataModel.sampleRate || this.audioEngine.audioContext.sampleRate;
+    select.innerHTML = `<option value="">Document (${documentRate} Hz)</option>` +
+      EXPORT_SAMPLE_RATES.map(rate => `<option value="${rate}">${rate} Hz</option>`).join('');
+    select.value = current;
+    this.exportModal.style.display = 'flex';
+  }
 
-          if (format === 'wav') {
-            await FileIO.exportToWav(buffer);
-          } else if (format === 'mp3') {
-            await FileIO.exportToMp3(buffer);
-          }
-        } catch (error) {
-          console.error('Export failed:', error);
-          alert('Export failed. See console for details.');
+  exportOptions() {
+    const field = name => this.exportModal.querySelector(`[name="${name}"]`).value;
+    return {
+      format: field('format'),
+      sampleRate: Number(field('sampleRate')) || this.dataModel.sampleRate || null,
+      quality: field('quality')
+    };
+  }
+
+  renderExportOptions() {
+    if (!this.exportModal) return;
+    this.exportModal.querySelector('[data-role="options"]').innerHTML = this.exporters
+      .map(exporter => `<button class="export-option" data-id="${escapeHtml(exporter.id)}">${escapeHtml(exporter.label)}</button>`)
+      .join('');
+  }
+
+  /**
+   * Markers and regions in seconds of the exported buffer. A cycle exports as
+   * one period stretched over the table, so its times scale with it, and the
+   * table's own pitch becomes the sampler's unity note.
+   */
+  exportCues(buffer) {
+    const { markers, regions, mode, duration } = this.dataModel;
+    const cycle = mode === 'cycle';
+    const scale = cycle ? buffer.length / buffer.sampleRate / duration : 1;
+    return {
+      markers: markers.map(m => ({ name: m.name, time: m.time * scale })),
+      regions: regions.map(r => ({ name: r.name, start: r.start * scale, end: r.end * scale, loop: r.loop })),
+      pitch: cycle ? buffer.sampleRate / buffer.length : null
+    };
+  }
+
+  async runExporter(exporter) {
+    try {
+      // Every channel is exported, muted or not, with the effects rack applied
+      const buffer = exporter.audio
+        ? await this.audioEngine.renderForExport({ ...this.documentSource(), audible: null })
+        : null;
+      const blob = await exporter.export({ buffer, dataModel: this.dataModel, options: this.exportOptions() });
+      FileIO.download(blob, `wavesmith_export${exporter.extension}`);
+    } catch (error) {
+      console.error('Export failed:', error);
+      alert('Export failed. See console for details.');
+    }
+  }
+
+  setupEffectsRack() {
+    const rack = this.createSidebar({ title: 'Effects', className: 'effects-rack', button: document.getElementById('effectsBtn') });
+    this.sidebars.effects = rack;
+    this.effectsRack = rack.element;
+    rack.body.innerHTML = `
+      <div class="effects-add">
+        <select class="bar-select" data-role="type">
+          ${Object.entries(EFFECT_TYPES).map(([type, def]) => `<option value="${type}">${def.label}</option>`).join('')}
+        </select>
+        <button class="icon-button" data-action="add">Add</button>
+      </div>
+      <div class="effects-list" data-role="list"></div>
+    `;
+
+    this.effectsRack.querySelector('[data-action="add"]').addEventListener('click', () => {
+      this.dataModel.addEffect(this.effectsRack.querySelector('[data-role="type"]').value);
+    });
+
+    // One delegated handler per event type; the list is rebuilt whenever the rack changes
+    const list = this.effectsRack.querySelector('[data-role="list"]');
+    list.addEventListener('click', e => {
+      const button = e.target.closest('button[data-action]');
+      if (!button) return;
+      const id = button.closest('.effect-card').dataset.id;
+      if (button.dataset.action === 'remove') this.dataModel.removeEffect(id);
+      if (button.dataset.action === 'up') this.dataModel.moveEffect(id, -1);
+      if (button.dataset.action === 'down') this.dataModel.moveEffect(id, 1);
+    });
+    list.addEventListener('change', e => {
+      const input = e.target;
+      const id = input.closest('.effect-card').dataset.id;
+      if (input.name === 'enabled') {
+        this.dataModel.updateEffect(id, { enabled: input.checked });
+      } else {
+        const effect = this.dataModel.effects.find(fx => fx.id === id);
+        const spec = EFFECT_TYPES[effect.type].params[input.name];
+        let value = input.value;
+        if (!spec.options) {
+          value = parseFloat(value);
+          if (!Number.isFinite(value)) value = effect.params[input.name];
+          value = Math.max(spec.min, Math.min(spec.max, value));
         }
+        this.dataModel.updateEffect(id, { params: { [input.name]: value } });
+      }
+    });
+
+    this.renderEffectsRack();
+  }
+
+  renderEffectsRack() {
+    const list = this.effectsRack.querySelector('[data-role="list"]');
+    if (this.dataModel.effects.length === 0) {
+      list.innerHTML = '<p class="modal-note">No effects. Playback and export use the dry signal.</p>';
+      return;
+    }
+    list.innerHTML = this.dataModel.effects.map((effect, i) => {
+      const definition = EFFECT_TYPES[effect.type];
+      const fields = Object.entries(definition.params).map(([name, spec]) => {
+        const value = effect.params[name];
+        const control = spec.options
+          ? `<select name="${name}">${spec.options.map(o => `<option value="${o}"${o === value ? ' selected' : ''}>${o}</option>`).join('')}</select>`
+          : `<input name="${name}" type="number" min="${spec.min}" max="${spec.max}" step="${spec.step}" value="${value}">`;
+        return `<label class="modal-field">${spec.label} ${control}</label>`;
+      }).join('');
+      return `
+        <div class="effect-card${effect.enabled ? '' : ' disabled'}" data-id="${effect.id}">
+          <div class="effect-card-header">
+            <label><input type="checkbox" name="enabled"${effect.enabled ? ' checked' : ''}> ${i + 1}. ${definition.label}</label>
+            <span>
+              <button class="icon-button" data-action="up" title="Move up">&uarr;</button>
+              <button class="icon-button" data-action="down" title="Move down">&darr;</button>
+              <button class="icon-button" data-action="remove" title="Remove">&times;</button>
+            </span>
+          </div>
+          ${fields}
+        </div>
+      `;
+    }).join('');
+  }
+
+  setupHistoryPanel() {
+    const panel = this.createSidebar({ title: 'History', className: 'sidebar-right history-panel', button: document.getElementById('historyBtn') });
+    this.sidebars.history = panel;
+    this.historyPanel = panel.element;
+    panel.body.innerHTML = '<ol class="history-list" data-role="list"></ol>';
+
+    // Clicking a step makes it the current state: everything after it is undone (and can be redone)
+    this.historyPanel.querySelector('[data-role="list"]').addEventListener('click', e => {
+      const item = e.target.closest('li[data-index]');
+      if (!item) return;
+      this.dataModel.jumpToHistory(Number(item.dataset.index));
+    });
+
+    this.renderHistoryPanel();
+  }
+
+  renderHistoryPanel() {
+    const { history } = this.dataModel;
+    const items = [{ label: 'Opened', index: 0 }, ...history.entries.map((entry, i) => ({ label: entry.label, index: i + 1 }))];
+    this.historyPanel.querySelector('[data-role="list"]').innerHTML = items.map(item => {
+      const state = item.index === history.index ? 'current' : item.index > history.index ? 'undone' : '';
+      return `<li class="history-item ${state}" data-index="${item.index}">${escapeHtml(item.label)}</li>`;
+    }).join('');
+  }
+
+  setupInspector() {
+    const panel = this.createSidebar({
+      title: 'Inspector',
+      className: 'sidebar-right inspector-panel',
+      button: document.getElementById('inspectorBtn'),
+      onToggle: open => this.inspector.setVisible(open)
+    });
+    this.sidebars.inspector = panel;
+    // Closed at first, so edits cost it nothing until it is opened
+    this.inspector = new Inspector(this.dataModel, panel.body, { visible: false });
+  }
+
+  // Open the inspector with the cursor in one of its transform settings
+  editInspectorOption(option) {
+    this.sidebars.inspector.open();
+    this.inspector.focusOption(option);
+  }
+
+  setupMarkersPanel() {
+    const panel = this.createSidebar({ title: 'Markers', className: 'sidebar-right inspector-panel', button: document.getElementById('markersBtn') });
+    this.sidebars.markers = panel;
+    this.markersPanel = new MarkersPanel(this.dataModel, panel.body);
+  }
+
+  setupGeneratorModal() {
+    this.generatorModal = document.createElement('div');
+    this.generatorModal.className = 'export-modal';
+    this.generatorModal.innerHTML = `
+      <div class="export-modal-content generator-modal-content">
+        <h3>Generate Waveform</h3>
+        <p class="modal-note" data-role="range"></p>
+        <label class="modal-field">Shape
+          <select name="shape">${WAVEFORM_SHAPES.map(s => `<option value="${s}">${s}</option>`).join('')}</select>
+        </label>
+        <label class="modal-field"><span data-role="frequency-label">Frequency (Hz)</span>
+          <input name="frequency" type="number" min="0" step="any" value="440">
+        </label>
+        <label class="modal-field">Phase (°)
+          <input name="phase" type="number" step="any" value="0">
+        </label>
+        <label class="modal-field">Amplitude
+          <input name="amplitude" type="number" min="0" max="1" step="0.01" value="1">
+        </label>
+        <label class="modal-field">DC offset
+          <input name="offset" type="number" min="-1" max="1" step="0.01" value="0">
+        </label>
+        <label class="modal-field">Pulse width (%)
+          <input name="pulseWidth" type="number" min="1" max="99" step="any" value="25">
+        </label>
+        <label class="modal-field">Sample step (ms)
+          <input name="step" type="number" min="0" step="any" value="1">
+        </label>
+        <p class="modal-error" data-role="error"></p>
+        <button class="export-option" data-action="generate">Generate</button>
+        <button class="export-cancel">Cancel</button>
+      </div>
+    `;
+    document.body.appendChild(this.generatorModal);
+
+    this.generatorModal.querySelector('.export-cancel').addEventListener('click', () => {
+      this.generatorModal.style.display = 'none';
+    });
+    this.generatorModal.querySelector('[data-action="generate"]').addEventListener('click', () => this.runGenerator());
+  }
+
+  // The generator fills the selection's time span, or the whole document
+  generatorRange() {
+    return this.dataModel.selectionRange() || { start: 0, end: this.dataModel.duration };
+  }
+
+  openGeneratorModal() {
+    const { start, end } = this.generatorRange();
+    const isCycle = this.dataModel.mode === 'cycle';
+    this.generatorModal.querySelector('[data-role="range"]').textContent =
+      `Fills ${start.toFixed(4)}s – ${end.toFixed(4)}s of ${this.dataModel.channels[this.dataModel.activeChannel].name}`;
+    // In cycle mode the frequency is counted in periods per cycle
+    this.generatorModal.querySelector('[data-role="frequency-label"]').textContent = isCycle ? 'Cycles per period' : 'Frequency (Hz)';
+    const frequencyInput = this.generatorModal.querySelector('[name="frequency"]');
+    if (isCycle && frequencyInput.dataset.mode !== 'cycle') frequencyInput.value = 1;
+    if (!isCycle && frequencyInput.dataset.mode === 'cycle') frequencyInput.value = 440;
+    frequencyInput.dataset.mode = this.dataModel.mode;
+    this.generatorModal.querySelector('[data-role="error"]').textContent = '';
+    this.generatorModal.style.display = 'flex';
+  }
+
+  runGenerator() {
+    const field = name => this.generatorModal.querySelector(`[name="${name}"]`);
+    const number = name => parseFloat(field(name).value);
+    const { start, end } = this.generatorRange();
+    const frequency = this.dataModel.mode === 'cycle'
+      ? number('frequency') / this.dataModel.duration
+      : number('frequency');
+
+    const shape = field('shape').value;
+    try {
+      const points = generatePoints({
+        shape,
+        start,
+        end,
+        frequency,
+        phase: number('phase') / 360,
+        amplitude: number('amplitude'),
+        offset: number('offset'),
+        pulseWidth: number('pulseWidth') / 100,
+        step: number('step') / 1000
       });
+      this.dataModel.replaceRange(start, end, points, `Generate ${shape}`);
+      this.generatorModal.style.display = 'none';
+    } catch (error) {
+      this.generatorModal.querySelector('[data-role="error"]').textContent = error.message;
+    }
+  }
+
+  setupSimplifyModal() {
+    this.simplifyModal = document.createElement('div');
+    this.simplifyModal.className = 'export-modal';
+    this.simplifyModal.innerHTML = `
+      <div class="export-modal-content generator-modal-content">
+        <h3 data-role="title"></h3>
+        <label class="modal-field">Tolerance
+          <input name="tolerance" type="number" min="0" max="1" step="0.001">
+        </label>
+        <p class="modal-note" data-role="stats"></p>
+        <button class="export-option" data-action="apply"></button>
+        <button class="export-option" data-action="raw">Keep every sample</button>
+        <button class="export-cancel">Cancel</button>
+      </div>
+    `;
+    document.body.appendChild(this.simplifyModal);
+
+    const toleranceInput = this.simplifyModal.querySelector('[name="tolerance"]');
+    toleranceInput.value = CONFIG.SIMPLIFY_TOLERANCE;
+    toleranceInput.addEventListener('change', () => this.previewSimplify());
+    this.simplifyModal.querySelector('.export-cancel').addEventListener('click', () => {
+      this.simplifyModal.style.display = 'none';
+      this.simplifyJob = null;
+    });
+    this.simplifyModal.querySelector('[data-action="apply"]').addEventListener('click', () => this.finishSimplify('apply'));
+    this.simplifyModal.querySelector('[data-action="raw"]').addEventListener('click', () => this.finishSimplify('raw'));
+  }
+
+  /**
+   * Show the simplify panel for a set of point lists (one per channel).
+   * job: { title, sources, applyLabel, onApply(simplifiedLists), onRaw? }
+   */
+  openSimplifyModal(job) {
+    this.simplifyJob = job;
+    this.simplifyModal.querySelector('[data-role="title"]').textContent = job.title;
+    this.simplifyModal.querySelector('[data-action="apply"]').textContent = job.applyLabel;
+    this.simplifyModal.querySelector('[data-action="raw"]').style.display = job.onRaw ? '' : 'none';
+    this.simplifyModal.style.display = 'flex';
+    this.previewSimplify();
+  }
+
+  // Point count and reconstruction error for the current tolerance, before anything is committed
+  previewSimplify() {
+    const job = this.simplifyJob;
+    if (!job) return;
+    const tolerance = Math.max(0, parseFloat(this.simplifyModal.querySelector('[name="tolerance"]').value) || 0);
+    job.simplified = job.sources.map(points => simplifyPoints(points, tolerance));
+
+    let before = 0;
+    let after = 0;
+    let max = 0;
+    let sumSquares = 0;
+    job.sources.forEach((points, ch) => {
+      const error = reconstructionError(points, job.simplified[ch], this.dataModel.interpolation);
+      before += points.length;
+      after += job.simplified[ch].length;
+      max = Math.max(max, error.max);
+      sumSquares += error.rms * error.rms * points.length;
+    });
+    const rms = before > 0 ? Math.sqrt(sumSquares / before) : 0;
+    const ratio = before > 0 ? ((after / before) * 100).toFixed(1) : '0';
+    this.simplifyModal.querySelector('[data-role="stats"]').textContent =
+      `${before} → ${after} points (${ratio}%) · max error ${max.toFixed(4)} · RMS ${rms.toFixed(4)}`;
+  }
+
+  finishSimplify(action) {
+    const job = this.simplifyJob;
+    if (!job) return;
+    try {
+      if (action === 'apply') {
+        job.onApply(job.simplified);
+      } else {
+        job.onRaw();
+      }
+    } catch (error) {
+      // Points are checked before anything changes, so a refused load leaves the document as it was
+      console.error(`${job.title} failed:`, error);
+      alert(`${job.title} failed: ${error.message}`);
+    }
+    this.simplifyJob = null;
+    this.simplifyModal.style.display = 'none';
+  }
+
+  openSimplifySelection() {
+    const { start, end } = this.generatorRange();
+    const points = this.dataModel.points.filter(p => p.time >= start && p.time <= end);
+    if (points.length <= 2) return;
+    this.openSimplifyModal({
+      title: 'Simplify Selection',
+      sources: [points],
+      applyLabel: 'Simplify',
+      onApply: ([simplified]) => this.dataModel.replaceRange(start, end, simplified, 'Simplify selection')
     });
   }
 
@@ -134,4 +934,4 @@ export class UI {
     const bar = document.getElementById('loadingBar');
     if (bar) bar.style.display = 'none';
   }
-}
\ No newline at end of file
+}
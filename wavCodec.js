@@ -0,0 +1,386 @@
+// wavCodec.js
+// RIFF/WAVE reading and writing: 8/16/24/32-bit PCM, 32-bit float (and 64-bit
+// float on read), plain and WAVE_FORMAT_EXTENSIBLE headers. Chunks other than
+// fmt and data are kept as raw bytes so metadata can be read or carried over;
+// markers, regions and sampler loops (cue, LIST adtl, smpl) have their own
+// encoder and decoder at the end.
+// Pure functions on ArrayBuffers — no DOM, no audio.
+// -----------------------------------------------------------
+
+// Sample formats offered on export
+export const WAV_FORMATS = {
+  pcm8: { label: '8-bit PCM', bits: 8, float: false },
+  pcm16: { label: '16-bit PCM', bits: 16, float: false },
+  pcm24: { label: '24-bit PCM', bits: 24, float: false },
+  pcm32: { label: '32-bit PCM', bits: 32, float: false },
+  float32: { label: '32-bit float', bits: 32, float: true }
+};
+
+const FORMAT_PCM = 1;
+const FORMAT_FLOAT = 3;
+const FORMAT_EXTENSIBLE = 0xfffe;
+// Tail of the KSDATAFORMAT_SUBTYPE GUIDs; the first two bytes are the format tag
+const SUBFORMAT_TAIL = [0x00, 0x00, 0x00, 0x00, 0x10, 0x00, 0x80, 0x00, 0x00, 0xaa, 0x00, 0x38, 0x9b, 0x71];
+
+// Speaker positions for the common layouts (mono is front centre)
+function channelMask(count) {
+  if (count === 1) return 0x4;
+  if (count === 2) return 0x3;
+  return count < 32 ? (1 << count) - 1 : 0;
+}
+
+/**
+ * Encode channels of samples (-1..1) as a WAV file.
+ * options: { format: key of WAV_FORMATS, extensible, chunks }.
+ * `extensible` defaults to what the spec asks for: more than two channels
+ * or PCM deeper than 16 bits. `chunks` ([{ id, data: Uint8Array }]) are
+ * written after the data chunk.
+ */
+export function encodeWav(channels, sampleRate, options = {}) {
+  const format = WAV_FORMATS[options.format || 'pcm16'];
+  if (!format) throw new Error(`Unknown WAV format "${options.format}"`);
+  if (!Number.isInteger(sampleRate) || sampleRate <= 0) throw new Error(`Invalid sample rate ${sampleRate}`);
+
+  const count = channels.length;
+  const frames = count > 0 ? channels[0].length : 0;
+  const bytes = format.bits / 8;
+  const blockAlign = count * bytes;
+  const extensible = options.extensible ?? (count > 2 || (!format.float && format.bits > 16));
+  const tag = format.float ? FORMAT_FLOAT : FORMAT_PCM;
+  const fmtSize = extensible ? 40 : format.float ? 18 : 16;
+  const factSize = format.float ? 12 : 0;  // non-PCM files carry a fact chunk
+  const dataSize = frames * blockAlign;
+  const extra = (options.chunks || []).reduce((sum, c) => sum + 8 + c.data.length + (c.data.length % 2), 0);
+  const total = 12 + 8 + fmtSize + factSize + 8 + dataSize + (dataSize % 2) + extra;
+
+  const buffer = new ArrayBuffer(total);
+  const view = new DataView(buffer);
+  const bytesOut = new Uint8Array(buffer);
+  const writeString = (offset, string) => {
+    for (let i = 0; i < string.length; i++) view.setUint8(offset + i, string.charCodeAt(i));
+  };
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, total - 8, true);
+  writeString(8, 'WAVE');
+
+  let pos = 12;
+  writeString(pos, 'fmt ');
+  view.setUint32(pos + 4, fmtSize, true);
+  view.setUint16(pos + 8, extensible ? FORMAT_EXTENSIBLE : tag, true);
+  view.setUint16(pos + 10, count, true);
+  view.setUint32(pos + 12, sampleRate, true);
+  view.setUint32(pos + 16, sampleRate * blockAlign, true);
+  view.setUint16(pos + 20, blockAlign, true);
+  view.setUint16(pos + 22, format.bits, true);
+  if (extensible) {
+    view.setUint16(pos + 24, 22, true);
+    view.setUint16(pos + 26, format.bits, true);
+    view.setUint32(pos + 28, channelMask(count), true);
+    view.setUint16(pos + 32, tag, true);
+    bytesOut.set(SUBFORMAT_TAIL, pos + 34);
+  } else if (format.float) {
+    view.setUint16(pos + 24, 0, true);
+  }
+  pos += 8 + fmtSize;
+
+  if (format.float) {
+    writeString(pos, 'fact');
+    view.setUint32(pos + 4, 4, true);
+    view.setUint32(pos + 8, frames, true);
+    pos += 12;
+  }
+
+  writeString(pos, 'data');
+  view.setUint32(pos + 4, dataSize, true);
+  pos += 8;
+  writeSamples(view, pos, channels, frames, format);
+  pos += dataSize + (dataSize % 2);
+
+  (options.chunks || []).forEach(chunk => {
+    writeString(pos, chunk.id);
+    view.setUint32(pos + 4, chunk.data.length, true);
+    bytesOut.set(chunk.data, pos + 8);
+    pos += 8 + chunk.data.length + (chunk.data.length % 2);
+  });
+
+  return buffer;
+}
+
+function writeSamples(view, offset, channels, frames, { bits, float }) {
+  const bytes = bits / 8;
+  const scale = 2 ** (bits - 1);
+  let pos = offset;
+  for (let i = 0; i < frames; i++) {
+    for (let ch = 0; ch < channels.length; ch++) {
+      const sample = channels[ch][i];
+      if (float) {
+        view.setFloat32(pos, sample, true);
+      } else {
+        const clamped = Math.max(-1, Math.min(1, sample));
+        const value = Math.round(clamped < 0 ? clamped * scale : clamped * (scale - 1));
+        if (bits === 8) {
+          view.setUint8(pos, value + 128);   // 8-bit WAV is unsigned
+        } else if (bits === 16) {
+          view.setInt16(pos, value, true);
+        } else if (bits === 24) {
+          view.setUint8(pos, value & 0xff);
+          view.setUint8(pos + 1, (value >> 8) & 0xff);
+          view.setUint8(pos + 2, (value >> 16) & 0xff);
+        } else {
+          view.setInt32(pos, value, true);
+        }
+      }
+      pos += bytes;
+    }
+  }
+}
+
+/**
+ * Decode a WAV file. Returns { sampleRate, channels: Float32Array[], bits,
+ * float, extensible, chunks } where chunks are the other chunks (except
+ * fact) in file order as { id, data: Uint8Array }. Throws for anything it
+ * cannot read (compressed formats, truncated headers).
+ */
+export function decodeWav(arrayBuffer) {
+  const view = new DataView(arrayBuffer);
+  const readString = (offset, length) => {
+    let s = '';
+    for (let i = 0; i < length; i++) s += String.fromCharCode(view.getUint8(offset + i));
+    return s;
+  };
+
+  if (arrayBuffer.byteLength < 12 || readString(0, 4) !== 'RIFF' || readString(8, 4) !== 'WAVE') {
+    throw new Error('Not a RIFF/WAVE file');
+  }
+
+  let fmt = null;
+  let data = null;
+  const chunks = [];
+  let pos = 12;
+  while (pos + 8 <= arrayBuffer.byteLength) {
+    const id = readString(pos, 4);
+    // Streamed files may leave the size unset; a chunk never runs past the file
+    const size = Math.min(view.getUint32(pos + 4, true), arrayBuffer.byteLength - pos - 8);
+    const body = pos + 8;
+    if (id === 'fmt ') {
+      fmt = readFormat(view, body, size);
+    } else if (id === 'data') {
+      data = { offset: body, size };
+    } else if (id !== 'fact') {
+      chunks.push({ id, data: new Uint8Array(arrayBuffer.slice(body, body + size)) });
+    }
+    pos = body + size + (size % 2);
+  }
+
+  if (!fmt) throw new Error('WAV file has no fmt chunk');
+  if (!data) throw new Error('WAV file has no data chunk');
+
+  const bytes = fmt.bits / 8;
+  const frames = Math.floor(data.size / fmt.blockAlign);
+  const channels = Array.from({ length: fmt.channels }, () => new Float32Array(frames));
+  const read = sampleReader(view, fmt);
+  let offset = data.offset;
+  for (let i = 0; i < frames; i++) {
+    let at = offset;
+    for (let ch = 0; ch < fmt.channels; ch++) {
+      channels[ch][i] = read(at);
+      at += bytes;
+    }
+    offset += fmt.blockAlign;
+  }
+
+  return { sampleRate: fmt.sampleRate, channels, bits: fmt.bits, float: fmt.float, extensible: fmt.extensible, chunks };
+}
+
+function readFormat(view, offset, size) {
+  if (size < 16) throw new Error('WAV fmt chunk is too short');
+  let tag = view.getUint16(offset, true);
+  const extensible = tag === FORMAT_EXTENSIBLE;
+  if (extensible) {
+    if (size < 40) throw new Error('WAV extensible fmt chunk is too short');
+    tag = view.getUint16(offset + 24, true);
+  }
+  const format = {
+    channels: view.getUint16(offset + 2, true),
+    sampleRate: view.getUint32(offset + 4, true),
+    blockAlign: view.getUint16(offset + 12, true),
+    bits: view.getUint16(offset + 14, true),
+    float: tag === FORMAT_FLOAT,
+    extensible
+  };
+  if (tag !== FORMAT_PCM && tag !== FORMAT_FLOAT) throw new Error(`Unsupported WAV encoding (format tag ${tag})`);
+  if (format.channels === 0) throw new Error('WAV file has no channels');
+  const supported = format.float ? [32, 64] : [8, 16, 24, 32];
+  if (!supported.includes(format.bits)) {
+    throw new Error(`Unsupported ${format.float ? 'float' : 'PCM'} bit depth ${format.bits}`);
+  }
+  if (format.blockAlign < format.channels * (format.bits / 8)) throw new Error('WAV block alignment is too small for its samples');
+  return format;
+}
+
+// Integer samples map to -1..1 by their full scale, so -2^(n-1) reads as exactly -1
+function sampleReader(view, { bits, float }) {
+  if (float) return bits === 32 ? at => view.getFloat32(at, true) : at => view.getFloat64(at, true);
+  if (bits === 8) return at => (view.getUint8(at) - 128) / 128;
+  if (bits === 16) return at => view.getInt16(at, true) / 32768;
+  if (bits === 24) {
+    return at => {
+      const value = view.getUint8(at) | (view.getUint8(at + 1) << 8) | (view.getInt8(at + 2) << 16);
+      return value / 8388608;
+    };
+  }
+  return at => view.getInt32(at, true) / 2147483648;
+}
+
+// -----------------------------------------------------------
+// Cue points and loops: `cue ` chunks with `LIST adtl` labels, and `smpl`
+// loops for samplers. Positions are in sample frames.
+// -----------------------------------------------------------
+
+const LOOP_FORWARD = 0;
+
+// A chunk body written through a DataView: { view, bytes, writeString }
+function chunkWriter(size) {
+  const bytes = new Uint8Array(size);
+  const view = new DataView(bytes.buffer);
+  const writeString = (offset, string) => {
+    for (let i = 0; i < string.length; i++) view.setUint8(offset + i, string.charCodeAt(i));
+  };
+  return { bytes, view, writeString };
+}
+
+/**
+ * Markers and regions as WAV chunks. cues: { markers: [{ name, frame }],
+ * regions: [{ name, start, end, loop }] } with `end` exclusive. Every marker
+ * and region becomes a cue point with a label (regions add an ltxt length),
+ * and regions with `loop` set become smpl loops. `unityNote` is the MIDI note
+ * (fractions allowed) the file sounds at its own rate.
+ */
+export function encodeCueChunks({ markers = [], regions = [] }, sampleRate, unityNote = 60) {
+  const cues = [
+    ...markers.map(m => ({ name: m.name, start: m.frame, length: 0 })),
+    ...regions.map(r => ({ name: r.name, start: r.start, length: r.end - r.start, loop: r.loop }))
+  ].map((cue, i) => ({ ...cue, id: i + 1, text: new TextEncoder().encode(`${cue.name}\0`) }));
+  if (cues.length === 0) return [];
+
+  const cue = chunkWriter(4 + 24 * cues.length);
+  cue.view.setUint32(0, cues.length, true);
+  cues.forEach((c, i) => {
+    const at = 4 + 24 * i;
+    cue.view.setUint32(at, c.id, true);
+    cue.view.setUint32(at + 4, c.start, true);      // play order position
+    cue.writeString(at + 8, 'data');
+    cue.view.setUint32(at + 20, c.start, true);     // sample offset in the data chunk
+  });
+
+  const labelSize = c => 8 + 4 + c.text.length + (c.text.length % 2);
+  const adtlSize = cues.reduce((sum, c) => sum + labelSize(c) + (c.length > 0 ? 28 : 0), 4);
+  const list = chunkWriter(adtlSize);
+  list.writeString(0, 'adtl');
+  let pos = 4;
+  cues.forEach(c => {
+    list.writeString(pos, 'labl');
+    list.view.setUint32(pos + 4, 4 + c.text.length, true);
+    list.view.setUint32(pos + 8, c.id, true);
+    list.bytes.set(c.text, pos + 12);
+    pos += labelSize(c);
+    if (c.length > 0) {
+      list.writeString(pos, 'ltxt');
+      list.view.setUint32(pos + 4, 20, true);
+      list.view.setUint32(pos + 8, c.id, true);
+      list.view.setUint32(pos + 12, c.length, true);
+      list.writeString(pos + 16, 'rgn ');
+      pos += 28;
+    }
+  });
+
+  const chunks = [{ id: 'cue ', data: cue.bytes }, { id: 'LIST', data: list.bytes }];
+  const loops = cues.filter(c => c.loop && c.length > 0);
+  if (loops.length > 0) {
+    const smpl = chunkWriter(36 + 24 * loops.length);
+    const note = Math.max(0, Math.min(127, unityNote));
+    smpl.view.setUint32(8, Math.round(1e9 / sampleRate), true);   // sample period in nanoseconds
+    smpl.view.setUint32(12, Math.floor(note), true);
+    smpl.view.setUint32(16, Math.round((note - Math.floor(note)) * 0xffffffff), true);  // fraction of a semitone up
+    smpl.view.setUint32(28, loops.length, true);
+    loops.forEach((c, i) => {
+      const at = 36 + 24 * i;
+      smpl.view.setUint32(at, c.id, true);
+      smpl.view.setUint32(at + 4, LOOP_FORWARD, true);
+      smpl.view.setUint32(at + 8, c.start, true);
+      smpl.view.setUint32(at + 12, c.start + c.length - 1, true);  // the last frame played, inclusive
+      // fraction and play count stay 0: exact frames, looping forever
+    });
+    chunks.push({ id: 'smpl', data: smpl.bytes });
+  }
+  return chunks;
+}
+
+/**
+ * Markers and regions from decoded chunks (see decodeWav), in the shape
+ * encodeCueChunks takes. Cue points with a length are regions; smpl loops
+ * mark their region as looping, or become regions of their own.
+ */
+export function decodeCueChunks(chunks) {
+  const cues = new Map(); // id -> { start, length, name }
+  const readString = (view, offset, length) => {
+    let s = '';
+    for (let i = 0; i < length; i++) s += String.fromCharCode(view.getUint8(offset + i));
+    return s;
+  };
+  const viewOf = data => new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+  const cueChunk = chunks.find(c => c.id === 'cue ');
+  if (cueChunk && cueChunk.data.length >= 4) {
+    const view = viewOf(cueChunk.data);
+    const count = Math.min(view.getUint32(0, true), Math.floor((view.byteLength - 4) / 24));
+    for (let i = 0; i < count; i++) {
+      const at = 4 + 24 * i;
+      cues.set(view.getUint32(at, true), { start: view.getUint32(at + 20, true), length: 0, name: null, loop: false });
+    }
+  }
+
+  chunks.filter(c => c.id === 'LIST' && c.data.length >= 4).forEach(chunk => {
+    const view = viewOf(chunk.data);
+    if (readString(view, 0, 4) !== 'adtl') return;
+    let pos = 4;
+    while (pos + 12 <= view.byteLength) {
+      const id = readString(view, pos, 4);
+      const size = Math.min(view.getUint32(pos + 4, true), view.byteLength - pos - 8);
+      const cue = cues.get(view.getUint32(pos + 8, true));
+      if (cue && id === 'labl') {
+        const text = chunk.data.subarray(pos + 12, pos + 8 + size);
+        const end = text.indexOf(0);
+        cue.name = new TextDecoder().decode(end === -1 ? text : text.subarray(0, end));
+      } else if (cue && id === 'ltxt' && size >= 8) {
+        cue.length = view.getUint32(pos + 12, true);
+      }
+      pos += 8 + size + (size % 2);
+    }
+  });
+
+  const loose = [];
+  const smpl = chunks.find(c => c.id === 'smpl');
+  if (smpl && smpl.data.length >= 36) {
+    const view = viewOf(smpl.data);
+    const count = Math.min(view.getUint32(28, true), Math.floor((view.byteLength - 36) / 24));
+    for (let i = 0; i < count; i++) {
+      const at = 36 + 24 * i;
+      const start = view.getUint32(at + 8, true);
+      const end = view.getUint32(at + 12, true) + 1;
+      const cue = cues.get(view.getUint32(at, true));
+      if (cue && cue.start === start && cue.length === end - start) cue.loop = true;
+      else if (end > start) loose.push({ name: `Loop ${i + 1}`, start, end, loop: true });
+    }
+  }
+
+  const list = Array.from(cues.values());
+  return {
+    markers: list.filter(c => c.length === 0).map((c, i) => ({ name: c.name ?? `Marker ${i + 1}`, frame: c.start })),
+    regions: [
+      ...list.filter(c => c.length > 0).map((c, i) => ({ name: c.name ?? `Region ${i + 1}`, start: c.start, end: c.start + c.length, loop: c.loop })),
+      ...loose
+    ]
+  };
+}